@@ -0,0 +1,186 @@
+/**
+ * Error types surfaced by fetch tags.
+ */
+
+/**
+ * Raised when a request does not receive a response within its `timeout`.
+ */
+export class TimeoutError extends Error {
+  /**
+   * @param {string} url - Requested URL
+   * @param {number} timeout - Timeout in milliseconds
+   */
+  constructor(url, timeout) {
+    super(`Request timed out after ${timeout}ms: ${url}`);
+    this.name = 'TimeoutError';
+    this.url = url;
+    this.timeout = timeout;
+  }
+}
+
+/**
+ * Raised when a server answers with a non-2xx status.
+ */
+export class HttpError extends Error {
+  /**
+   * @param {Response} response - Failed response
+   * @param {*} [body] - Parsed response body: JSON when possible, otherwise text
+   * @param {string} [url] - Requested URL, used when the response has none
+   */
+  constructor(response, body = null, url = '') {
+    super(`Fetch failed: ${response.status} ${response.statusText}`);
+    this.name = 'HttpError';
+    this.status = response.status;
+    this.statusText = response.statusText;
+    this.url = response.url || url;
+    this.response = response;
+    this.body = body;
+  }
+}
+
+/**
+ * Raised when a request fails before any response arrives (offline, DNS, CORS).
+ */
+export class NetworkError extends Error {
+  /**
+   * @param {string} url - Requested URL
+   * @param {Error} [cause] - Original fetch error
+   */
+  constructor(url, cause) {
+    super(`Network request failed: ${url}`);
+    this.name = 'NetworkError';
+    this.url = url;
+    this.cause = cause;
+  }
+}
+
+/**
+ * Raised when a response body cannot be parsed.
+ */
+export class ParseError extends Error {
+  /**
+   * @param {string} url - Requested URL
+   * @param {Error} [cause] - Original parser error
+   */
+  constructor(url, cause) {
+    super(`Could not parse the response from ${url}${cause && cause.message ? `: ${cause.message}` : ''}`);
+    this.name = 'ParseError';
+    this.url = url;
+    this.cause = cause;
+  }
+}
+
+/**
+ * Raised when a GraphQL response carries a non-empty `errors` array.
+ */
+export class GraphQLError extends Error {
+  /**
+   * @param {Object[]} errors - GraphQL errors from the response
+   * @param {*} [data] - Partial `data` from the response
+   * @param {string} [url] - Requested URL
+   */
+  constructor(errors, data = null, url = '') {
+    const messages = errors.map((error) => error && error.message).filter(Boolean);
+    super(messages.length ? messages.join('; ') : 'GraphQL request failed');
+    this.name = 'GraphQLError';
+    this.errors = errors;
+    this.data = data;
+    this.url = url;
+  }
+}
+
+/**
+ * Raised when an element's template is missing or cannot be used.
+ */
+export class TemplateError extends Error {
+  /**
+   * @param {string} message
+   * @param {string} [template] - Template selector from the element
+   */
+  constructor(message, template = '') {
+    super(message);
+    this.name = 'TemplateError';
+    this.template = template;
+  }
+}
+
+/**
+ * Reads the body of a failed response without consuming it for other readers.
+ * @param {Response} response
+ * @returns {Promise<*>} Parsed JSON, text, or null when unreadable
+ */
+function readErrorBody(response) {
+  const copy = typeof response.clone === 'function' ? response.clone() : response;
+  if (!copy || typeof copy.text !== 'function') {
+    return Promise.resolve(null);
+  }
+
+  return copy.text().then((text) => {
+    try {
+      return JSON.parse(text);
+    } catch (_) {
+      return text;
+    }
+  }, () => null);
+}
+
+/**
+ * Creates an HttpError with the parsed response body.
+ * @param {Response} response
+ * @param {string} [url] - Requested URL
+ * @returns {Promise<HttpError>}
+ */
+export function createHttpError(response, url) {
+  return readErrorBody(response).then((body) => new HttpError(response, body, url));
+}
+
+/**
+ * Reads the HTTP status of an error, including plain errors carrying a `response`.
+ * @param {Error} error
+ * @returns {number|undefined}
+ */
+function getErrorStatus(error) {
+  if (error && typeof error.status === 'number') {
+    return error.status;
+  }
+
+  return error && error.response ? error.response.status : undefined;
+}
+
+/**
+ * Lists the template attributes to try for an error, most specific first:
+ * `error-404`, then `error-4xx`, then `error`.
+ * @param {Error} error
+ * @returns {string[]}
+ */
+export function getErrorTemplateAttributes(error) {
+  const status = getErrorStatus(error);
+  if (!(status >= 100)) {
+    return ['error'];
+  }
+
+  return [`error-${status}`, `error-${Math.floor(status / 100)}xx`, 'error'];
+}
+
+/**
+ * Builds the placeholder data available to error templates.
+ * @param {Error} error
+ * @param {string} [url] - Element URL, used when the error has none
+ * @returns {Object}
+ */
+export function buildErrorContext(error, url = '') {
+  const response = error && error.response;
+  const status = getErrorStatus(error);
+
+  return {
+    name: error && error.name ? error.name : 'Error',
+    message: error && error.message ? error.message : String(error),
+    status: status === undefined ? '' : status,
+    statusText: (error && error.statusText) || (response && response.statusText) || '',
+    url: (error && error.url) || url,
+    body: error && error.body !== undefined ? error.body : null,
+    timeout: error && error.timeout !== undefined ? error.timeout : '',
+    errors: error && Array.isArray(error.errors) ? error.errors : [],
+    error,
+  };
+}
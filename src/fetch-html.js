@@ -3,9 +3,31 @@
  */
 
 import * as helpers from './helpers.js';
+import * as templating from './templating.js';
+import { executeScripts } from './scripts.js';
+import * as swap from './swap.js';
+import { sanitize, sanitizeFragment } from './sanitize.js';
+import { OOB_ATTR, extractOobElements, applyOobElements } from './oob.js';
+import { isFullDocument, mergeHead } from './head.js';
+import {
+  sendRequest,
+  resolveCacheTtl,
+  resolveTimeout,
+  getCacheKey,
+  getValidators,
+  rememberValidators,
+  isNotModified,
+} from './request.js';
+import { getRefreshInterval, ensurePolling, stopPolling } from './poll.js';
+import { createHttpError, getErrorTemplateAttributes, buildErrorContext } from './errors.js';
+import { resolvePersist, withPersistence, isOfflineResponse } from './persist.js';
+import { autoloadFetchJson } from './fetch-json.js';
+import { autoloadFetchList } from './fetch-list.js';
 
 const FETCH_HTML_STATE_ATTR = 'data-state';
+const FETCH_HTML_OFFLINE_ATTR = 'data-offline';
 const FETCH_HTML_SELECTOR = 'fetch-html[href], fetch-html[src]';
+const DEFAULT_MAX_DEPTH = 10;
 
 /**
  * Checks if value is a DOM node.
@@ -27,6 +49,39 @@ function setFetchHtmlState(element, state) {
   }
 }
 
+/**
+ * Calls the onStateChange hook.
+ * @param {Element} element - fetch-html element
+ * @param {Object} [options] - Options object
+ * @param {string} state - `data-state` value, or `not-modified`
+ */
+function notifyStateChange(element, options, state) {
+  if (element && typeof options?.onStateChange === 'function') {
+    try {
+      options.onStateChange(state, element);
+    } catch (error) {
+      console.error('fetch-html onStateChange hook error:', error);
+    }
+  }
+}
+
+/**
+ * Marks whether a fetch-html element shows a persisted copy served while offline.
+ * @param {Element} element - fetch-html element
+ * @param {boolean} offline
+ */
+function setFetchHtmlOffline(element, offline) {
+  if (!element || typeof element.setAttribute !== 'function') {
+    return;
+  }
+
+  if (offline) {
+    element.setAttribute(FETCH_HTML_OFFLINE_ATTR, '');
+  } else {
+    element.removeAttribute(FETCH_HTML_OFFLINE_ATTR);
+  }
+}
+
 /**
  * Gets fetch-html element's current state.
  * @param {Element} element - fetch-html element
@@ -38,6 +93,65 @@ function getFetchHtmlState(element) {
     : null;
 }
 
+/**
+ * Checks whether a fetch-html element swaps itself out for its content.
+ * @param {Element} element - fetch-html element
+ * @returns {boolean}
+ */
+function hasReplaceAttribute(element) {
+  if (!element || typeof element.hasAttribute !== 'function') {
+    return false;
+  }
+
+  return element.hasAttribute('replace')
+    || (!element.hasAttribute('target') && swap.normalizeSwapMode(element.getAttribute('swap')) === 'outerHTML');
+}
+
+/**
+ * Ensures a comment anchor marks where a replaced element belongs.
+ * @param {Element} element - fetch-html element
+ * @returns {Comment|null}
+ */
+function ensureReplaceAnchor(element) {
+  if (!hasReplaceAttribute(element)) {
+    return null;
+  }
+
+  if (!element._fetchtmlReplaceAnchor) {
+    element._fetchtmlReplaceAnchor = document.createComment('fetch-html replace anchor');
+    if (element.parentNode) {
+      element.parentNode.insertBefore(element._fetchtmlReplaceAnchor, element);
+    }
+  }
+
+  return element._fetchtmlReplaceAnchor;
+}
+
+/**
+ * Puts a replaced fetch-html element back at its anchor and removes the old content.
+ * @param {Element} element - fetch-html element
+ */
+function restoreReplaceTarget(element) {
+  const anchor = ensureReplaceAnchor(element);
+  if (!anchor) {
+    return;
+  }
+
+  if (Array.isArray(element._fetchtmlReplacedNodes)) {
+    element._fetchtmlReplacedNodes.forEach((node) => {
+      if (node && node.parentNode) {
+        node.parentNode.removeChild(node);
+      }
+    });
+  }
+
+  element._fetchtmlReplacedNodes = null;
+
+  if (!element.parentNode && anchor.parentNode) {
+    anchor.parentNode.insertBefore(element, anchor.nextSibling);
+  }
+}
+
 /**
  * Normalizes fetchHtml function arguments.
  * @param {*} scopeOrOptions - Scope or options object
@@ -121,6 +235,84 @@ function createFragmentFromContent(content) {
   return template.content.cloneNode(true);
 }
 
+/**
+ * Parses an HTML string as a standalone document.
+ * @param {string} content - HTML content
+ * @returns {Document}
+ */
+function parseDocument(content) {
+  if (typeof DOMParser === 'function') {
+    return new DOMParser().parseFromString(content, 'text/html');
+  }
+
+  const doc = document.implementation.createHTMLDocument('');
+  doc.documentElement.innerHTML = content;
+  return doc;
+}
+
+/**
+ * Resolves the fragment selector for a fetch-html element.
+ * @param {Element} element - fetch-html element
+ * @param {Object} [options] - Options object
+ * @returns {string|null}
+ */
+function getSelectSelector(element, options) {
+  if (options && options.select) {
+    const selector = typeof options.select === 'function'
+      ? options.select(element)
+      : options.select;
+    return selector ? String(selector).trim() : null;
+  }
+
+  const raw = element.getAttribute('select');
+  return raw && raw.trim() ? raw.trim() : null;
+}
+
+/**
+ * Creates DocumentFragment from the parts of an HTML document matching a selector.
+ * Nested matches are skipped so each subtree is only inserted once. Top-level
+ * out-of-band elements are kept alongside the selection.
+ * @param {string} content - HTML content
+ * @param {string} selector - CSS selector
+ * @param {Object|boolean|null} [sanitizeConfig] - Sanitizer config applied before import
+ * @returns {DocumentFragment}
+ * @throws {Error} if the selector is invalid or matches nothing
+ */
+function createFragmentFromSelection(content, selector, sanitizeConfig) {
+  const doc = parseDocument(content);
+  const oobElements = doc.body
+    ? helpers.toArray(doc.body.children).filter((node) => node.hasAttribute(OOB_ATTR))
+    : [];
+  oobElements.forEach((node) => node.parentNode.removeChild(node));
+
+  let matches;
+  try {
+    matches = helpers.toArray(doc.querySelectorAll(selector));
+  } catch (error) {
+    throw new SyntaxError(`fetch-html "select" is not a valid selector: ${selector}`);
+  }
+
+  const roots = matches.filter((node) => !matches.some((other) => other !== node && other.contains(node)));
+  if (!roots.length) {
+    throw new Error(`fetch-html "select" did not match any elements: ${selector}`);
+  }
+
+  const fragment = document.createDocumentFragment();
+  roots.concat(oobElements).forEach((node) => {
+    if (sanitizeConfig) {
+      // Clean inside the inert parsed document; the root itself must be allowed too.
+      const holder = doc.createDocumentFragment();
+      holder.appendChild(node);
+      sanitizeFragment(holder, sanitizeConfig);
+      fragment.appendChild(document.importNode(holder, true));
+    } else {
+      fragment.appendChild(document.importNode(node, true));
+    }
+  });
+
+  return fragment;
+}
+
 /**
  * Invokes a hook function safely.
  * @param {Function} hook - Hook function
@@ -139,28 +331,270 @@ function invokeHook(hook, args) {
   return undefined;
 }
 
+/**
+ * Resolves the sanitizer config for a fetch-html element.
+ * @param {Element} element - fetch-html element
+ * @param {Object} [options] - Options object
+ * @returns {Object|boolean|null} Config, true for defaults, or null when disabled
+ */
+function getSanitizeConfig(element, options) {
+  if (options && options.sanitize !== undefined) {
+    return options.sanitize || null;
+  }
+
+  const raw = element.getAttribute('sanitize');
+  return raw === null || raw === 'false' ? null : true;
+}
+
+/**
+ * Resolves which parts of a fetched document head are merged into the page.
+ * @param {Element} element - fetch-html element
+ * @param {Object} [options] - Options object
+ * @returns {{title: boolean, styles: boolean, meta: string[]}|null}
+ */
+function getMergeHeadConfig(element, options) {
+  const metaAttr = element.getAttribute('merge-head-meta');
+  const meta = metaAttr ? metaAttr.trim().split(/[\s,]+/).filter(Boolean) : [];
+
+  if (options && options.mergeHead !== undefined) {
+    if (!options.mergeHead) {
+      return null;
+    }
+
+    const config = typeof options.mergeHead === 'object' ? options.mergeHead : {};
+    return {
+      title: config.title !== false,
+      styles: config.styles !== false,
+      meta: Array.isArray(config.meta) ? config.meta : meta,
+    };
+  }
+
+  const raw = element.getAttribute('merge-head');
+  if (raw === null || raw === 'false') {
+    return null;
+  }
+
+  const parts = raw.trim().toLowerCase().split(/[\s,]+/).filter(Boolean);
+  return {
+    title: !parts.length || parts.indexOf('title') !== -1,
+    styles: !parts.length || parts.indexOf('styles') !== -1,
+    meta,
+  };
+}
+
+/**
+ * Resolves the script execution mode for a fetch-html element.
+ * @param {Element} element - fetch-html element
+ * @param {Object} [options] - Options object
+ * @returns {string|null} 'run', 'strict', or null when scripts stay inert
+ */
+function getScriptMode(element, options) {
+  let value;
+  if (options && options.scripts !== undefined) {
+    value = options.scripts;
+  } else if (element.hasAttribute('scripts')) {
+    value = element.getAttribute('scripts');
+  } else {
+    return null;
+  }
+
+  if (value === false || value === 'false') {
+    return null;
+  }
+
+  return String(value).trim().toLowerCase() === 'strict' ? 'strict' : 'run';
+}
+
+/**
+ * Collects script elements from a node about to be inserted.
+ * @param {Node} node - Node or fragment
+ * @returns {HTMLScriptElement[]}
+ */
+function collectScripts(node) {
+  if (!node) {
+    return [];
+  }
+
+  const scripts = node.nodeName === 'SCRIPT' ? [node] : [];
+  if (typeof node.querySelectorAll === 'function') {
+    return scripts.concat(helpers.toArray(node.querySelectorAll('script')));
+  }
+
+  return scripts;
+}
+
+/**
+ * Runs scripts from inserted content and reports failures.
+ * In strict mode the first failure is rethrown so it reaches handleError.
+ * @param {HTMLScriptElement[]} scripts - Inserted scripts
+ * @param {string} mode - Script mode
+ * @returns {Promise<void>}
+ */
+function runInsertedScripts(scripts, mode) {
+  return executeScripts(scripts).then((errors) => {
+    if (!errors.length) {
+      return;
+    }
+
+    if (mode === 'strict') {
+      errors.slice(1).forEach((error) => console.error(error));
+      throw errors[0];
+    }
+
+    errors.forEach((error) => console.error(error));
+  });
+}
+
 /**
  * Handles successful fetch-html processing.
  * @param {Element} element - fetch-html element
  * @param {DocumentFragment} fragment - Content fragment
  * @param {Object} [options] - Options object
+ * @returns {{nodes: Node[], scripts: HTMLScriptElement[]}} Inserted nodes and the scripts they contain
  */
 function handleSuccess(element, fragment, options) {
   const override = invokeHook(options && options.beforeInsert, [element, fragment]);
   const nodeToInsert = typeof Node !== 'undefined' && override instanceof Node ? override : fragment;
-  const shouldReplace = element.hasAttribute('replace');
-
-  if (shouldReplace && typeof element.replaceWith === 'function') {
-    element.replaceWith(nodeToInsert);
-  } else if (shouldReplace && element.parentNode) {
-    element.parentNode.replaceChild(nodeToInsert, element);
-  } else {
-    element.innerHTML = '';
-    element.appendChild(nodeToInsert);
+  const mode = swap.getSwapMode(element, options);
+  const target = swap.resolveSwapTarget(element, options);
+  const replacesSelf = target === element && mode === 'outerHTML';
+  if (replacesSelf) {
+    ensureReplaceAnchor(element);
   }
 
+  const scripts = mode === 'none' ? [] : collectScripts(nodeToInsert);
+  const nodes = swap.swapContent(target, nodeToInsert, mode);
+  element._fetchtmlReplacedNodes = replacesSelf ? nodes : null;
+
   setFetchHtmlState(element, 'loaded');
+  notifyStateChange(element, options, 'loaded');
   invokeHook(options && options.afterInsert, [element]);
+  return { nodes, scripts };
+}
+
+/**
+ * Resolves a URL against the document base so include chains compare reliably.
+ * @param {string} source - Raw URL
+ * @returns {string}
+ */
+function resolveSource(source) {
+  try {
+    return new URL(source, document.baseURI).href;
+  } catch (_) {
+    return source;
+  }
+}
+
+/**
+ * Gets the maximum nesting depth for fetch-html includes.
+ * @param {Object} [options] - Options object
+ * @returns {number}
+ */
+function getMaxDepth(options) {
+  const value = options && Number(options.maxDepth);
+  return value >= 0 ? value : DEFAULT_MAX_DEPTH;
+}
+
+/**
+ * Validates an element's include chain before fetching.
+ * @param {Element} element - fetch-html element
+ * @param {string} source - Resolved URL
+ * @param {Object} [options] - Options object
+ * @returns {Error|null}
+ */
+function checkIncludeChain(element, source, options) {
+  const chain = element._fetchtmlIncludeChain || [];
+
+  if (chain.indexOf(source) !== -1) {
+    return new Error(`fetch-html include cycle detected: ${chain.concat(source).join(' -> ')}`);
+  }
+
+  const maxDepth = getMaxDepth(options);
+  if (chain.length > maxDepth) {
+    return new Error(`fetch-html exceeded the maximum nesting depth of ${maxDepth}.`);
+  }
+
+  return null;
+}
+
+/**
+ * Loads FetchTML elements nested inside inserted content, honoring their load modes.
+ * Nested fetch-html elements inherit the include chain and the parent's `fetch`,
+ * `maxDepth`, `sanitize` and `scripts` options.
+ * @param {Node[]} nodes - Inserted nodes
+ * @param {string[]} chain - Include chain leading to the inserted content
+ * @param {Object} [options] - Options object
+ */
+function processNestedElements(nodes, chain, options) {
+  const nestedHtml = helpers.collectElements(nodes, FETCH_HTML_SELECTOR);
+  nestedHtml.forEach((node) => {
+    node._fetchtmlIncludeChain = chain;
+  });
+
+  // select, target, swap and the hooks describe the parent's own response
+  const inherited = {};
+  ['fetch', 'maxDepth', 'sanitize', 'scripts'].forEach((name) => {
+    if (options && options[name] !== undefined) {
+      inherited[name] = options[name];
+    }
+  });
+
+  loadFetchHtmlNodes(nestedHtml, inherited, false).forEach((promise) => {
+    promise.catch(() => {
+      // Errors are already reported via handleError.
+    });
+  });
+
+  const nestedOptions = options && typeof options.fetch === 'function' ? { fetch: options.fetch } : {};
+  autoloadFetchJson(nodes, nestedOptions);
+  autoloadFetchList(nodes, nestedOptions);
+}
+
+/**
+ * Finds a state template (placeholder, error).
+ * @param {Element} element - fetch-html element
+ * @param {string} attr - Attribute name
+ * @returns {Element|null}
+ */
+function findStateTemplate(element, attr) {
+  const templateId = element.getAttribute(attr);
+  if (!templateId) {
+    return null;
+  }
+
+  return templating.findTemplate(templateId, element);
+}
+
+/**
+ * Renders a state template into the element, filling placeholders from data.
+ * @param {Element} element - fetch-html element
+ * @param {Element} stateTemplate - State template
+ * @param {Object} [data] - Placeholder data
+ */
+function renderStateTemplate(element, stateTemplate, data) {
+  const content = templating.getTemplateContent(stateTemplate);
+  if (!content) {
+    return;
+  }
+
+  const rendered = data
+    ? templating.processTemplate(content, data, { root: data, data, ancestors: [], depth: 0 })
+    : content;
+
+  element.innerHTML = '';
+  element.appendChild(rendered);
+}
+
+/**
+ * Finds the most specific error template: `error-404`, then `error-4xx`, then `error`.
+ * @param {Element} element - fetch-html element
+ * @param {Error} error - Error that occurred
+ * @returns {Element|null}
+ */
+function findErrorTemplate(element, error) {
+  return getErrorTemplateAttributes(error)
+    .map((attr) => findStateTemplate(element, attr))
+    .filter(Boolean)[0] || null;
 }
 
 /**
@@ -171,6 +605,15 @@ function handleSuccess(element, fragment, options) {
  */
 function handleError(element, options, error) {
   setFetchHtmlState(element, 'error');
+  setFetchHtmlOffline(element, false);
+  notifyStateChange(element, options, 'error');
+
+  const errorTemplate = element ? findErrorTemplate(element, error) : null;
+  if (errorTemplate) {
+    const url = element.getAttribute('href') || element.getAttribute('src') || '';
+    renderStateTemplate(element, errorTemplate, buildErrorContext(error, url));
+  }
+
   if (element && typeof options?.onError === 'function') {
     try {
       options.onError(error, element);
@@ -222,9 +665,9 @@ function scheduleLazyLoad(element, options) {
   const clearScheduling = () => {
     element._fetchtmlLazyScheduled = false;
 
-    if (element._fetchtmlLazyObserver) {
-      element._fetchtmlLazyObserver.disconnect();
-      element._fetchtmlLazyObserver = null;
+    if (element._fetchtmlLazyUnobserve) {
+      element._fetchtmlLazyUnobserve();
+      element._fetchtmlLazyUnobserve = null;
     }
 
     if (element._fetchtmlLazyTimeout) {
@@ -242,17 +685,14 @@ function scheduleLazyLoad(element, options) {
     });
   };
 
-  if (typeof IntersectionObserver === 'function') {
-    const observer = new IntersectionObserver((entries) => {
-      entries.forEach((entry) => {
-        if (entry.isIntersecting) {
-          triggerLoad();
-        }
-      });
-    });
+  const unobserve = helpers.observeViewport(element, (visible) => {
+    if (visible) {
+      triggerLoad();
+    }
+  });
 
-    observer.observe(element);
-    element._fetchtmlLazyObserver = observer;
+  if (unobserve) {
+    element._fetchtmlLazyUnobserve = unobserve;
   } else if (typeof window !== 'undefined' && typeof window.setTimeout === 'function') {
     element._fetchtmlLazyTimeout = window.setTimeout(triggerLoad, 100);
   } else {
@@ -262,25 +702,78 @@ function scheduleLazyLoad(element, options) {
   return Promise.resolve(null);
 }
 
+/**
+ * Cancels the in-flight request of a fetch-html element.
+ * Responses of cancelled requests are ignored even when the fetch implementation
+ * does not support abort signals.
+ * @param {Element} element - fetch-html element
+ * @returns {boolean} True if a request was pending
+ */
+function abortRequest(element) {
+  const pending = getFetchHtmlState(element) === 'loading';
+  element._fetchtmlRequestId = (element._fetchtmlRequestId || 0) + 1;
+
+  if (element._fetchtmlAbortController) {
+    element._fetchtmlAbortController.abort();
+    element._fetchtmlAbortController = null;
+  }
+
+  return pending;
+}
+
+/**
+ * Adds an abort signal to the request init when AbortController is available.
+ * @param {Element} element - fetch-html element
+ * @param {Object|undefined} requestInit - RequestInit
+ * @returns {Object|undefined}
+ */
+function withAbortSignal(element, requestInit) {
+  if (typeof AbortController !== 'function' || (requestInit && requestInit.signal)) {
+    return requestInit;
+  }
+
+  element._fetchtmlAbortController = new AbortController();
+  return { ...requestInit, signal: element._fetchtmlAbortController.signal };
+}
+
 /**
  * Processes a single fetch-html element.
  * @param {Element} element - fetch-html element
  * @param {Object} [options] - Options object
+ * @param {boolean} [force] - Reload even if the element already loaded, cancelling any pending request
  * @returns {Promise<Element|null>}
  */
-function processFetchHtmlElement(element, options) {
+function processFetchHtmlElement(element, options, force) {
   const existingState = getFetchHtmlState(element);
-  if (existingState === 'loading' || existingState === 'loaded') {
+  if (!force && (existingState === 'loading' || existingState === 'loaded')) {
     return Promise.resolve(null);
   }
 
+  abortRequest(element);
+  const requestId = element._fetchtmlRequestId;
+
   const source = element.getAttribute('href') || element.getAttribute('src');
+  const requestInit = source ? withAbortSignal(element, buildRequestInit(element, options)) : undefined;
+
+  // Loaded content is revalidated with a conditional request and stays in place until the response arrives
+  const validators = existingState === 'loaded' && source ? getValidators(element, source, requestInit) : null;
+  if (!validators) {
+    restoreReplaceTarget(element);
+  }
+
   if (!source) {
     const error = new Error('fetch-html element requires an "href" or "src" attribute.');
     handleError(element, options, error);
     return Promise.reject(error);
   }
 
+  const resolvedSource = resolveSource(source);
+  const chainError = checkIncludeChain(element, resolvedSource, options);
+  if (chainError) {
+    handleError(element, options, chainError);
+    return Promise.reject(chainError);
+  }
+
   const fetchImpl = getFetcher(options);
   if (!fetchImpl) {
     const error = new Error('fetchtml.fetchHtml requires a fetch implementation.');
@@ -288,37 +781,271 @@ function processFetchHtmlElement(element, options) {
     return Promise.reject(error);
   }
 
+  const keepContent = existingState === 'loaded'
+    && (Boolean(validators) || swap.getSwapMode(element, options) === 'morph');
   setFetchHtmlState(element, 'loading');
-  const requestInit = buildRequestInit(element, options);
+  notifyStateChange(element, options, 'loading');
+
+  const placeholderTemplate = keepContent ? null : findStateTemplate(element, 'placeholder');
+  if (placeholderTemplate) {
+    renderStateTemplate(element, placeholderTemplate);
+  }
 
-  return fetchImpl(source, requestInit)
+  const isCurrent = () => element._fetchtmlRequestId === requestId;
+
+  let offline = false;
+  let notModified = false;
+
+  const load = withPersistence(
+    () => sendRequest(fetchImpl, source, requestInit, {
+      ttl: resolveCacheTtl(element, options),
+      timeout: resolveTimeout(element, options),
+      element,
+      validators,
+    }),
+    getCacheKey(source, requestInit),
+    resolvePersist(element, options),
+    requestInit
+  )
     .then((response) => {
+      if (!isCurrent()) {
+        return null;
+      }
+
+      offline = isOfflineResponse(response);
+
       if (!response || typeof response.text !== 'function') {
         throw new TypeError('Invalid response from fetch-html request.');
       }
 
+      if (validators && isNotModified(response)) {
+        // 304: the loaded content is still current
+        notModified = true;
+        element._fetchtmlAbortController = null;
+        setFetchHtmlState(element, 'loaded');
+        setFetchHtmlOffline(element, false);
+        notifyStateChange(element, options, 'not-modified');
+        return null;
+      }
+
       if (!response.ok) {
-        const error = new Error(`Failed to load fetch-html (${response.status} ${response.statusText}).`);
-        error.response = response;
-        throw error;
+        return createHttpError(response, source).then((error) => {
+          throw error;
+        });
       }
 
+      rememberValidators(element, source, requestInit, response);
       return response.text();
     })
     .then((rawContent) => {
+      if (!isCurrent() || rawContent === null) {
+        return null;
+      }
+
+      element._fetchtmlAbortController = null;
       const transform = options && options.transform;
-      const content = typeof transform === 'function'
+      const content = String((typeof transform === 'function'
         ? transform(rawContent, element)
-        : rawContent;
+        : rawContent) || '');
 
-      const fragment = createFragmentFromContent(String(content || ''));
-      handleSuccess(element, fragment, options || null);
-      return element;
+      const headConfig = getMergeHeadConfig(element, options);
+      if (!headConfig || !isFullDocument(content)) {
+        return content;
+      }
+
+      // Sanitized responses are untrusted: only their title reaches the page head.
+      if (getSanitizeConfig(element, options)) {
+        headConfig.styles = false;
+        headConfig.meta = [];
+      }
+
+      // Merge the head first so new stylesheets are ready when the body renders.
+      const doc = parseDocument(content);
+      const body = getSelectSelector(element, options) || !doc.body ? content : doc.body.innerHTML;
+      return mergeHead(doc, headConfig, resolvedSource).then(() => body);
+    })
+    .then((content) => {
+      if (!isCurrent() || content === null) {
+        return null;
+      }
+
+      const selector = getSelectSelector(element, options);
+      const sanitizeConfig = getSanitizeConfig(element, options);
+      let fragment;
+      if (selector) {
+        fragment = createFragmentFromSelection(content, selector, sanitizeConfig);
+      } else if (sanitizeConfig) {
+        fragment = sanitize(content, sanitizeConfig);
+      } else {
+        fragment = createFragmentFromContent(content);
+      }
+      const oobElements = extractOobElements(fragment);
+      if (validators) {
+        restoreReplaceTarget(element);
+      }
+      setFetchHtmlOffline(element, offline);
+      const inserted = handleSuccess(element, fragment, options || null);
+      const oobNodes = applyOobElements(oobElements);
+      const nodes = inserted.nodes.concat(oobNodes);
+      const scripts = oobNodes.reduce((list, node) => list.concat(collectScripts(node)), inserted.scripts);
+
+      const chain = (element._fetchtmlIncludeChain || []).concat(resolvedSource);
+      processNestedElements(nodes, chain, options);
+
+      const scriptMode = getScriptMode(element, options);
+      if (!scriptMode || !scripts.length) {
+        return element;
+      }
+
+      return runInsertedScripts(scripts, scriptMode).then(() => element);
     })
     .catch((error) => {
+      if (!isCurrent()) {
+        // Superseded by a newer reload or cancelled through abort().
+        return null;
+      }
+
+      if (validators) {
+        restoreReplaceTarget(element);
+      }
       handleError(element, options, error);
       throw error;
+    })
+    .then((result) => {
+      if (isCurrent()) {
+        keepPolling(element, options);
+      }
+      return notModified ? element : result;
+    }, (error) => {
+      if (isCurrent()) {
+        keepPolling(element, options);
+      }
+      throw error;
     });
+
+  element._fetchtmlLoad = load;
+  return load;
+}
+
+/**
+ * Starts or updates `refresh-every` polling after a load.
+ * Each poll reuses the options of the latest load and is skipped while a request is pending.
+ * @param {Element} element - fetch-html element
+ * @param {Object} [options] - Options object
+ */
+function keepPolling(element, options) {
+  ensurePolling(element, getRefreshInterval(element, options), () => {
+    if (getFetchHtmlState(element) === 'loading') {
+      return null;
+    }
+
+    return processFetchHtmlElement(element, options, true);
+  });
+}
+
+/**
+ * Creates a controller for a fetch-html element.
+ * @param {Element} element - fetch-html element
+ * @param {Object} [options] - Options object
+ * The controller is thenable, so `fetchHtml(element).then(...)` keeps working:
+ * it settles with `[element]` once the current load does.
+ * @returns {Object} Controller with reload, setOptions, abort, destroy methods
+ */
+function createController(element, options = {}) {
+  let currentOptions = { ...options };
+
+  const controller = {
+    /**
+     * Joins the current load, or starts one when the element has not loaded yet.
+     * @param {Function} [onFulfilled]
+     * @param {Function} [onRejected]
+     * @returns {Promise}
+     */
+    then(onFulfilled, onRejected) {
+      const state = getFetchHtmlState(element);
+      const load = element._fetchtmlLoad && (state === 'loading' || state === 'loaded')
+        ? element._fetchtmlLoad
+        : processFetchHtmlElement(element, currentOptions);
+      return load.then((result) => [result]).then(onFulfilled, onRejected);
+    },
+
+    /**
+     * @param {Function} onRejected
+     * @returns {Promise}
+     */
+    catch(onRejected) {
+      return controller.then(undefined, onRejected);
+    },
+
+    /**
+     * Refetches the content with optional option overrides.
+     * A pending request is cancelled in favour of the new one.
+     * @param {Object} [overrides]
+     * @returns {Promise<Element|null>}
+     */
+    reload(overrides = {}) {
+      return processFetchHtmlElement(element, { ...currentOptions, ...overrides }, true);
+    },
+
+    /**
+     * Updates stored options.
+     * @param {Object} newOptions
+     */
+    setOptions(newOptions) {
+      currentOptions = { ...currentOptions, ...newOptions };
+    },
+
+    /**
+     * Cancels the pending request, if any, and returns the element to idle.
+     */
+    abort() {
+      if (abortRequest(element)) {
+        setFetchHtmlState(element, 'idle');
+        notifyStateChange(element, currentOptions, 'idle');
+      }
+    },
+
+    /**
+     * Cancels pending work and detaches the controller.
+     */
+    destroy() {
+      abortRequest(element);
+      stopPolling(element);
+
+      if (element._fetchtmlLazyUnobserve) {
+        element._fetchtmlLazyUnobserve();
+        element._fetchtmlLazyUnobserve = null;
+      }
+
+      if (element._fetchtmlLazyTimeout) {
+        window.clearTimeout(element._fetchtmlLazyTimeout);
+        element._fetchtmlLazyTimeout = null;
+      }
+
+      element._fetchtmlLazyScheduled = false;
+      setFetchHtmlState(element, 'idle');
+      notifyStateChange(element, currentOptions, 'idle');
+      element._fetchtmlController = null;
+    },
+  };
+
+  element._fetchtmlController = controller;
+
+  const state = getFetchHtmlState(element);
+  if (state !== 'loading' && state !== 'loaded') {
+    const loadMode = getLoadMode(element);
+    setFetchHtmlState(element, 'idle');
+
+    if (loadMode === 'auto') {
+      processFetchHtmlElement(element, currentOptions).catch(() => {
+        // Errors are handled inside processFetchHtmlElement.
+      });
+    } else if (loadMode === 'lazy') {
+      scheduleLazyLoad(element, currentOptions);
+    }
+  }
+
+  return controller;
 }
 
 /**
@@ -355,15 +1082,28 @@ function reportScopeError(options, error, scope) {
 
 /**
  * Processes all fetch-html elements in scope.
- * @param {ParentNode|Object} [scopeOrOptions] - Scope or options
+ * When given a fetch-html element, returns its (thenable) controller instead.
+ * @param {ParentNode|Object} [scopeOrOptions] - Scope, fetch-html element, or options
  * @param {Object} [maybeOptions] - Options object
- * @returns {Promise<Element[]>}
+ * @returns {Promise<Element[]>|Object}
  */
 export function fetchHtml(scopeOrOptions, maybeOptions) {
   if (typeof document === 'undefined') {
     return Promise.resolve([]);
   }
 
+  if (isNode(scopeOrOptions) && scopeOrOptions.nodeName === 'FETCH-HTML') {
+    const options = maybeOptions || {};
+    if (scopeOrOptions._fetchtmlController) {
+      if (Object.keys(options).length) {
+        scopeOrOptions._fetchtmlController.setOptions(options);
+      }
+      return scopeOrOptions._fetchtmlController;
+    }
+
+    return createController(scopeOrOptions, options);
+  }
+
   const normalized = normalizeFetchHtmlArgs(scopeOrOptions, maybeOptions);
   const options = normalized.options || {};
   const manualTrigger = Boolean(normalized.manualTrigger);
@@ -381,6 +1121,24 @@ export function fetchHtml(scopeOrOptions, maybeOptions) {
     return Promise.resolve([]);
   }
 
+  const promises = loadFetchHtmlNodes(nodes, options, manualTrigger);
+  if (!promises.length) {
+    return Promise.resolve([]);
+  }
+
+  return Promise.all(promises).catch((error) => {
+    throw error;
+  });
+}
+
+/**
+ * Starts loading fetch-html elements according to their load modes.
+ * @param {Element[]} nodes - fetch-html elements
+ * @param {Object} options - Options object
+ * @param {boolean} manualTrigger - Whether manual and lazy elements load immediately
+ * @returns {Promise[]}
+ */
+function loadFetchHtmlNodes(nodes, options, manualTrigger) {
   const promises = [];
 
   nodes.forEach((node) => {
@@ -403,13 +1161,7 @@ export function fetchHtml(scopeOrOptions, maybeOptions) {
     promises.push(processFetchHtmlElement(node, options));
   });
 
-  if (!promises.length) {
-    return Promise.resolve([]);
-  }
-
-  return Promise.all(promises).catch((error) => {
-    throw error;
-  });
+  return promises;
 }
 
 /**
@@ -1,17 +1,54 @@
 import * as helpers from './helpers.js';
 import * as templating from './templating.js';
+import * as swap from './swap.js';
+import {
+  sendRequest,
+  resolveCacheTtl,
+  resolveTimeout,
+  isStaleWhileRevalidate,
+  readPayload,
+  writePayload,
+  getCacheKey,
+  getValidators,
+  rememberValidators,
+  isNotModified,
+} from './request.js';
+import { resolveRetryPolicy, withRetry } from './retry.js';
+import { getRefreshInterval, ensurePolling, stopPolling } from './poll.js';
+import { hasSocket, openSocketBinding } from './socket.js';
+import { applyPatch } from './json-patch.js';
+import { resolvePersist, withPersistence, isOfflineResponse } from './persist.js';
+import { hasGraphQL, buildGraphQLBody, unwrapGraphQLResponse } from './graphql.js';
+import {
+  ParseError,
+  TemplateError,
+  createHttpError,
+  getErrorTemplateAttributes,
+  buildErrorContext,
+} from './errors.js';
 
 const STATE_ATTR = 'data-state';
-const FETCH_JSON_SELECTOR = 'fetch-json[url], fetch-json[src], fetch-json[href]';
+const FETCH_JSON_SELECTOR = 'fetch-json[url], fetch-json[src], fetch-json[href], fetch-json[socket]';
 const STATES = {
   IDLE: 'idle',
   LOADING: 'loading',
   READY: 'ready',
+  REVALIDATING: 'revalidating',
+  RETRYING: 'retrying',
+  NOT_MODIFIED: 'not-modified',
+  DISCONNECTED: 'disconnected',
   ERROR: 'error',
 };
+const STALE_ATTR = 'data-stale';
+const OFFLINE_ATTR = 'data-offline';
 
 function hasReplaceAttribute(element) {
-  return Boolean(element && typeof element.hasAttribute === 'function' && element.hasAttribute('replace'));
+  if (!element || typeof element.hasAttribute !== 'function') {
+    return false;
+  }
+
+  return element.hasAttribute('replace')
+    || (!element.hasAttribute('target') && swap.normalizeSwapMode(element.getAttribute('swap')) === 'outerHTML');
 }
 
 function ensureReplaceAnchor(element, label = 'fetch-json') {
@@ -87,7 +124,7 @@ function findStateTemplate(element, attr) {
   return templating.findTemplate(templateId, element);
 }
 
-function renderStateTemplate(element, stateTemplate) {
+function renderStateTemplate(element, stateTemplate, data) {
   if (!stateTemplate) {
     return;
   }
@@ -97,8 +134,18 @@ function renderStateTemplate(element, stateTemplate) {
     return;
   }
 
+  const rendered = data
+    ? templating.processTemplate(content, data, { root: data, data, ancestors: [], depth: 0 })
+    : content;
+
   element.innerHTML = '';
-  element.appendChild(content);
+  element.appendChild(rendered);
+}
+
+function findErrorTemplate(element, error) {
+  return getErrorTemplateAttributes(error)
+    .map((attr) => findStateTemplate(element, attr))
+    .filter(Boolean)[0] || null;
 }
 
 function getFetcher(options) {
@@ -145,8 +192,12 @@ function buildRequestInit(element, options) {
     }
   }
 
-  if (options && options.body) {
-    if (typeof options.body === 'function') {
+  const graphql = hasGraphQL(element, options);
+  if (graphql || (options && options.body)) {
+    if (graphql) {
+      init.method = init.method || 'POST';
+      init.body = buildGraphQLBody(element, options);
+    } else if (typeof options.body === 'function') {
       try {
         init.body = options.body(element);
       } catch (error) {
@@ -168,12 +219,7 @@ function buildRequestInit(element, options) {
   return Object.keys(init).length ? init : undefined;
 }
 
-async function fetchJsonData(element, options) {
-  const fetcher = getFetcher(options);
-  if (!fetcher) {
-    throw new Error('fetch implementation not available.');
-  }
-
+function resolveRequest(element, options) {
   let url = element.getAttribute('url') || element.getAttribute('href') || element.getAttribute('src');
   if (!url) {
     throw new Error('fetch-json element requires a "url" attribute.');
@@ -183,21 +229,58 @@ async function fetchJsonData(element, options) {
     url = typeof options.url === 'function' ? options.url(element) : options.url;
   }
 
-  const requestInit = buildRequestInit(element, options);
-  const response = await fetcher(url, requestInit);
+  return { url, init: buildRequestInit(element, options) };
+}
+
+async function fetchJsonData(element, options, request, onRetry) {
+  const fetcher = getFetcher(options);
+  if (!fetcher) {
+    throw new Error('fetch implementation not available.');
+  }
+
+  const response = await withPersistence(
+    () => withRetry(
+      () => sendRequest(fetcher, request.url, request.init, {
+        ttl: resolveCacheTtl(element, options),
+        timeout: resolveTimeout(element, options),
+        element,
+        validators: request.validators,
+      }),
+      resolveRetryPolicy(element, options),
+      { signal: request.init && request.init.signal, onRetry },
+    ),
+    getCacheKey(request.url, request.init),
+    resolvePersist(element, options),
+    request.init,
+  );
+  request.offline = isOfflineResponse(response);
 
   if (!response || typeof response.json !== 'function') {
     throw new TypeError('Invalid fetch response.');
   }
 
+  if (request.validators && isNotModified(response)) {
+    request.notModified = true;
+    return null;
+  }
+
   if (!response.ok) {
-    const error = new Error(`Fetch failed: ${response.status} ${response.statusText}`);
-    error.response = response;
-    throw error;
+    throw await createHttpError(response, request.url);
   }
 
-  const data = await response.json();
+  rememberValidators(element, request.url, request.init, response);
 
+  let payload;
+  try {
+    payload = await response.json();
+  } catch (error) {
+    throw new ParseError(request.url, error);
+  }
+
+  return hasGraphQL(element, options) ? unwrapGraphQLResponse(payload, element, options, request.url) : payload;
+}
+
+function transformData(data, element, options) {
   if (options && typeof options.transform === 'function') {
     try {
       return options.transform(data, element);
@@ -222,6 +305,10 @@ function renderData(element, data, options) {
     template = templating.findTemplate(templateAttr, element);
   }
 
+  if (templateAttr && !template) {
+    throw new TemplateError(`fetch-json template not found: ${templateAttr}`, templateAttr);
+  }
+
   if (!template) {
     console.error('No template found for fetch-json.');
     element.innerHTML = '';
@@ -231,8 +318,7 @@ function renderData(element, data, options) {
 
   const templateContent = templating.getTemplateContent(template);
   if (!templateContent) {
-    console.error('Template content is empty for fetch-json.');
-    return [];
+    throw new TemplateError(`fetch-json template is empty: ${templateAttr}`, templateAttr);
   }
 
   const context = {
@@ -252,9 +338,14 @@ function renderData(element, data, options) {
     }
   }
 
+  const mode = swap.getSwapMode(element, options);
+  const target = swap.resolveSwapTarget(element, options);
   let renderedNodes = [];
 
-  if (shouldReplace && element.parentNode) {
+  if (target !== element || (mode !== 'outerHTML' && mode !== 'innerHTML')) {
+    renderedNodes = swap.swapContent(target, rendered, mode)
+      .filter((node) => node.nodeType === Node.ELEMENT_NODE);
+  } else if (mode === 'outerHTML' && element.parentNode) {
     cleanupReplacedNodes(element);
 
     if (rendered instanceof DocumentFragment) {
@@ -291,12 +382,22 @@ function renderData(element, data, options) {
   return renderedNodes;
 }
 
+function setOffline(element, offline) {
+  if (offline) {
+    element.setAttribute(OFFLINE_ATTR, '');
+  } else {
+    element.removeAttribute(OFFLINE_ATTR);
+  }
+}
+
 function handleError(element, options, error) {
   setState(element, STATES.ERROR);
+  setOffline(element, false);
 
-  const errorTemplate = findStateTemplate(element, 'error');
+  const errorTemplate = findErrorTemplate(element, error);
   if (errorTemplate) {
-    renderStateTemplate(element, errorTemplate);
+    const url = element.getAttribute('url') || element.getAttribute('href') || element.getAttribute('src') || '';
+    renderStateTemplate(element, errorTemplate, buildErrorContext(error, url));
   }
 
   if (typeof options?.onError === 'function') {
@@ -339,9 +440,9 @@ function scheduleLazyLoad(element, options) {
   const clearScheduling = () => {
     element._fetchtmlLazyScheduled = false;
 
-    if (element._fetchtmlLazyObserver) {
-      element._fetchtmlLazyObserver.disconnect();
-      element._fetchtmlLazyObserver = null;
+    if (element._fetchtmlLazyUnobserve) {
+      element._fetchtmlLazyUnobserve();
+      element._fetchtmlLazyUnobserve = null;
     }
 
     if (element._fetchtmlLazyTimeout) {
@@ -359,17 +460,14 @@ function scheduleLazyLoad(element, options) {
     });
   };
 
-  if (typeof IntersectionObserver === 'function') {
-    const observer = new IntersectionObserver((entries) => {
-      entries.forEach((entry) => {
-        if (entry.isIntersecting) {
-          triggerLoad();
-        }
-      });
-    });
+  const unobserve = helpers.observeViewport(element, (visible) => {
+    if (visible) {
+      triggerLoad();
+    }
+  });
 
-    observer.observe(element);
-    element._fetchtmlLazyObserver = observer;
+  if (unobserve) {
+    element._fetchtmlLazyUnobserve = unobserve;
   } else if (typeof window !== 'undefined' && typeof window.setTimeout === 'function') {
     element._fetchtmlLazyTimeout = window.setTimeout(triggerLoad, 100);
   } else {
@@ -379,58 +477,372 @@ function scheduleLazyLoad(element, options) {
   return Promise.resolve(null);
 }
 
-async function processFetchJsonElement(element, options = {}) {
-  restoreReplaceTarget(element, 'fetch-json');
+// Returns whether a request or socket was cancelled
+function abortRequest(element) {
+  const state = getState(element);
+  const pending = Boolean(element._fetchtmlAbortController)
+    || state === STATES.LOADING
+    || state === STATES.RETRYING;
+  element._fetchtmlRequestId = (element._fetchtmlRequestId || 0) + 1;
 
-  const currentState = getState(element);
-  if (currentState === STATES.LOADING) {
-    return Promise.resolve(null);
+  if (element._fetchtmlAbortController) {
+    element._fetchtmlAbortController.abort();
+    element._fetchtmlAbortController = null;
   }
 
-  setState(element, STATES.LOADING);
+  if (element._fetchtmlSocket) {
+    element._fetchtmlSocket.close();
+    element._fetchtmlSocket = null;
+    return true;
+  }
 
-  const placeholderTemplate = findStateTemplate(element, 'placeholder');
-  if (placeholderTemplate) {
-    renderStateTemplate(element, placeholderTemplate);
+  return pending;
+}
+
+function withAbortSignal(element, requestInit) {
+  if (typeof AbortController !== 'function' || (requestInit && requestInit.signal)) {
+    return requestInit;
   }
 
+  element._fetchtmlAbortController = new AbortController();
+  return { ...requestInit, signal: element._fetchtmlAbortController.signal };
+}
+
+function notifyStateChange(element, options, state, renderedNodes) {
   if (typeof options.onStateChange === 'function') {
     try {
-      options.onStateChange(STATES.LOADING, element);
+      options.onStateChange(state, element, renderedNodes);
     } catch (error) {
       console.error('fetch-json onStateChange hook error:', error);
     }
   }
+}
+
+function renderPayload(element, payload, options) {
+  const data = transformData(payload.data, element, options);
+  if (data == null) {
+    setState(element, STATES.ERROR);
+    console.error('fetch-json received empty data.');
+    return null;
+  }
+
+  const renderedNodes = renderData(element, data, options);
+  element._fetchtmlPayload = payload.text;
+  setState(element, STATES.READY);
+  return renderedNodes;
+}
+
+function renderSocketData(element, data, options) {
+  element._fetchtmlSocketData = data;
+  restoreReplaceTarget(element, 'fetch-json');
+  const renderedNodes = renderPayload(element, { data, text: null }, options);
+  if (renderedNodes) {
+    notifyStateChange(element, options, STATES.READY, renderedNodes);
+  }
+}
+
+function openJsonSocket(element, options) {
+  let previousState = null;
+
+  element._fetchtmlSocketData = null;
+  element._fetchtmlSocket = openSocketBinding(element, options, {
+    onData: (data) => {
+      try {
+        renderSocketData(element, data, options);
+      } catch (error) {
+        console.error('fetch-json socket error:', error);
+      }
+    },
+    onPatch: (operations) => {
+      if (element._fetchtmlSocketData === null) {
+        console.warn('fetch-json ignored a JSON Patch received before any data.');
+        return;
+      }
+
+      try {
+        renderSocketData(element, applyPatch(element._fetchtmlSocketData, operations), options);
+      } catch (error) {
+        console.error('fetch-json socket patch error:', error);
+      }
+    },
+    onOpen: () => {
+      // Reconnecting restores the state from before the connection dropped
+      if (getState(element) === STATES.DISCONNECTED) {
+        setState(element, previousState);
+        notifyStateChange(element, options, previousState);
+      }
+    },
+    onDisconnect: () => {
+      const state = getState(element);
+      if (state !== STATES.DISCONNECTED) {
+        previousState = state;
+        setState(element, STATES.DISCONNECTED);
+        notifyStateChange(element, options, STATES.DISCONNECTED);
+      }
+    },
+  });
+}
+
+function startJsonSocket(element, options) {
+  restoreReplaceTarget(element, 'fetch-json');
+  setState(element, STATES.LOADING);
+
+  const placeholderTemplate = findStateTemplate(element, 'placeholder');
+  if (placeholderTemplate) {
+    renderStateTemplate(element, placeholderTemplate);
+  }
+
+  notifyStateChange(element, options, STATES.LOADING);
 
   try {
-    const data = await fetchJsonData(element, options);
-    if (data == null) {
-      setState(element, STATES.ERROR);
-      console.error('fetch-json received empty data.');
+    openJsonSocket(element, options);
+  } catch (error) {
+    handleError(element, options, error);
+    notifyStateChange(element, options, STATES.ERROR);
+    throw error;
+  }
+
+  return element;
+}
+
+function processFetchJsonElement(element, options = {}, force = false) {
+  const previousRequestId = element._fetchtmlRequestId;
+  const load = loadFetchJsonElement(element, options, force);
+
+  // Only loads that actually started are joined by the controller's then()
+  if (element._fetchtmlRequestId !== previousRequestId) {
+    element._fetchtmlLoad = load;
+  }
+
+  return load;
+}
+
+async function loadFetchJsonElement(element, options = {}, force = false) {
+  const currentState = getState(element);
+  if (!force && (currentState === STATES.LOADING || currentState === STATES.RETRYING)) {
+    return Promise.resolve(null);
+  }
+
+  // An open socket keeps the element up to date; only explicit calls reconnect it
+  if (!force && element._fetchtmlSocket) {
+    return Promise.resolve(null);
+  }
+
+  // A newer load always wins over an older one
+  abortRequest(element);
+
+  if (hasSocket(element, options)) {
+    return startJsonSocket(element, options);
+  }
+  const requestId = element._fetchtmlRequestId;
+  const isCurrent = () => element._fetchtmlRequestId === requestId;
+
+  const staleWhileRevalidate = isStaleWhileRevalidate(element, options);
+  let stale = null;
+
+  const onRetry = (attempt, error) => {
+    if (!isCurrent()) {
+      return;
+    }
+
+    // Revalidating elements keep showing their stale data
+    if (!stale) {
+      setState(element, STATES.RETRYING);
+    }
+
+    notifyStateChange(element, options, STATES.RETRYING);
+
+    if (typeof options.onRetry === 'function') {
+      try {
+        options.onRetry(attempt, error, element);
+      } catch (hookError) {
+        console.error('fetch-json onRetry hook error:', hookError);
+      }
+    }
+  };
+
+  try {
+    const request = resolveRequest(element, options);
+    request.init = withAbortSignal(element, request.init);
+    stale = staleWhileRevalidate ? readPayload(request.url, request.init) : null;
+
+    // Content rendered from an earlier response is revalidated with a conditional request
+    request.validators = currentState === STATES.READY ? getValidators(element, request.url, request.init) : null;
+
+    if (stale) {
+      // Show the last known data right away, then refresh it in the background
+      if (currentState !== STATES.READY || element._fetchtmlPayload !== stale.text) {
+        restoreReplaceTarget(element, 'fetch-json');
+        renderPayload(element, stale, options);
+        request.validators = null;
+      }
+      element.setAttribute(STALE_ATTR, '');
+      notifyStateChange(element, options, STATES.REVALIDATING);
+    } else {
+      // Conditional requests keep the current content until the response arrives
+      if (!request.validators) {
+        restoreReplaceTarget(element, 'fetch-json');
+      }
+      setState(element, STATES.LOADING);
+
+      const keepContent = currentState === STATES.READY
+        && (Boolean(request.validators) || swap.getSwapMode(element, options) === 'morph');
+      const placeholderTemplate = keepContent ? null : findStateTemplate(element, 'placeholder');
+      if (placeholderTemplate) {
+        renderStateTemplate(element, placeholderTemplate);
+      }
+
+      notifyStateChange(element, options, STATES.LOADING);
+    }
+
+    const data = await fetchJsonData(element, options, request, onRetry);
+    if (!isCurrent()) {
+      return null;
+    }
+
+    element._fetchtmlAbortController = null;
+
+    if (request.notModified) {
+      // 304: the rendered content is still current
+      element.removeAttribute(STALE_ATTR);
+      setOffline(element, false);
+      setState(element, STATES.READY);
+      notifyStateChange(element, options, STATES.NOT_MODIFIED, []);
       return element;
     }
 
-    const renderedNodes = renderData(element, data, options);
-    setState(element, STATES.READY);
+    const text = staleWhileRevalidate ? writePayload(request.url, request.init, data) : null;
+
+    if (stale && element._fetchtmlPayload === text) {
+      element.removeAttribute(STALE_ATTR);
+      setOffline(element, request.offline);
+      notifyStateChange(element, options, STATES.READY, []);
+      return element;
+    }
 
-    if (typeof options.onStateChange === 'function') {
-      options.onStateChange(STATES.READY, element, renderedNodes);
+    restoreReplaceTarget(element, 'fetch-json');
+    const renderedNodes = renderPayload(element, { data, text }, options);
+    element.removeAttribute(STALE_ATTR);
+    setOffline(element, request.offline);
+    if (renderedNodes) {
+      notifyStateChange(element, options, STATES.READY, renderedNodes);
     }
 
     return element;
   } catch (error) {
-    handleError(element, options, error);
+    if (!isCurrent()) {
+      // Superseded by a newer load
+      return null;
+    }
 
-    if (typeof options.onStateChange === 'function') {
-      try {
-        options.onStateChange(STATES.ERROR, element);
-      } catch (hookError) {
-        console.error('fetch-json onStateChange hook error:', hookError);
-      }
+    element._fetchtmlAbortController = null;
+
+    if (stale) {
+      // Keep showing the stale data when revalidation fails
+      reportScopeError(options, error, element);
+      return element;
     }
 
+    restoreReplaceTarget(element, 'fetch-json');
+    handleError(element, options, error);
+    notifyStateChange(element, options, STATES.ERROR);
+
     throw error;
+  } finally {
+    if (isCurrent()) {
+      // Poll with the options of the latest load; pending loads are never stacked
+      ensurePolling(element, getRefreshInterval(element, options), () => processFetchJsonElement(element, options));
+    }
+  }
+}
+
+/**
+ * Creates a controller for a fetch-json element.
+ * The controller is thenable, so `fetchJson(element).then(...)` keeps working:
+ * it settles with `[element]` once the current load does.
+ * @param {Element} element
+ * @param {Object} [options]
+ * @returns {Object} Controller with reload, setOptions, abort, destroy methods
+ */
+function createController(element, options = {}) {
+  let currentOptions = { ...options };
+
+  const clearLazyLoad = () => {
+    if (element._fetchtmlLazyUnobserve) {
+      element._fetchtmlLazyUnobserve();
+      element._fetchtmlLazyUnobserve = null;
+    }
+
+    if (element._fetchtmlLazyTimeout) {
+      window.clearTimeout(element._fetchtmlLazyTimeout);
+      element._fetchtmlLazyTimeout = null;
+    }
+
+    element._fetchtmlLazyScheduled = false;
+  };
+
+  const controller = {
+    // Joins the current load, or starts one when the element has not loaded yet
+    then(onFulfilled, onRejected) {
+      const state = getState(element);
+      const joinable = [STATES.LOADING, STATES.RETRYING, STATES.READY, STATES.DISCONNECTED];
+      const load = element._fetchtmlLoad && joinable.indexOf(state) !== -1
+        ? element._fetchtmlLoad
+        : processFetchJsonElement(element, currentOptions);
+      return load.then((result) => [result]).then(onFulfilled, onRejected);
+    },
+
+    catch(onRejected) {
+      return controller.then(undefined, onRejected);
+    },
+
+    // Refetches (or reconnects the socket) with optional option overrides; a pending request is cancelled
+    reload(overrides = {}) {
+      return processFetchJsonElement(element, { ...currentOptions, ...overrides }, true);
+    },
+
+    setOptions(newOptions) {
+      currentOptions = { ...currentOptions, ...newOptions };
+    },
+
+    // Cancels the pending request or closes the socket, and returns the element to idle
+    abort() {
+      // Stale data stays on screen when its revalidation is cancelled
+      const revalidating = element.hasAttribute(STALE_ATTR);
+      if (abortRequest(element) && !revalidating) {
+        setState(element, STATES.IDLE);
+        notifyStateChange(element, currentOptions, STATES.IDLE);
+      }
+    },
+
+    // Cancels pending work, closes the socket, stops polling and detaches the controller
+    destroy() {
+      abortRequest(element);
+      stopPolling(element);
+      clearLazyLoad();
+      setState(element, STATES.IDLE);
+      notifyStateChange(element, currentOptions, STATES.IDLE);
+      element._fetchtmlController = null;
+    },
+  };
+
+  element._fetchtmlController = controller;
+
+  const state = getState(element);
+  if (!state || state === STATES.IDLE) {
+    const loadMode = getLoadMode(element);
+    setState(element, STATES.IDLE);
+
+    if (loadMode === 'auto') {
+      processFetchJsonElement(element, currentOptions).catch(() => {
+        // Errors are handled inside processFetchJsonElement.
+      });
+    } else if (loadMode === 'lazy') {
+      scheduleLazyLoad(element, currentOptions);
+    }
   }
+
+  return controller;
 }
 
 function collectFetchJsonNodes(scope) {
@@ -483,6 +895,19 @@ export function fetchJson(scopeOrOptions, maybeOptions) {
     return Promise.resolve([]);
   }
 
+  // A fetch-json element gets its controller instead of a promise
+  if (scopeOrOptions && scopeOrOptions.nodeType === 1 && scopeOrOptions.nodeName === 'FETCH-JSON') {
+    const options = maybeOptions || {};
+    if (scopeOrOptions._fetchtmlController) {
+      if (Object.keys(options).length) {
+        scopeOrOptions._fetchtmlController.setOptions(options);
+      }
+      return scopeOrOptions._fetchtmlController;
+    }
+
+    return createController(scopeOrOptions, options);
+  }
+
   const normalized = normalizeFetchJsonArgs(scopeOrOptions, maybeOptions);
   const options = normalized.options || {};
   const manualTrigger = Boolean(normalized.manualTrigger);
@@ -500,6 +925,17 @@ export function fetchJson(scopeOrOptions, maybeOptions) {
     return Promise.resolve([]);
   }
 
+  const promises = loadFetchJsonNodes(nodes, options, manualTrigger);
+  if (!promises.length) {
+    return Promise.resolve([]);
+  }
+
+  return Promise.all(promises).catch((error) => {
+    throw error;
+  });
+}
+
+function loadFetchJsonNodes(nodes, options, manualTrigger) {
   const promises = [];
 
   nodes.forEach((node) => {
@@ -519,15 +955,21 @@ export function fetchJson(scopeOrOptions, maybeOptions) {
       return;
     }
 
-    promises.push(processFetchJsonElement(node, options));
+    // Explicit calls restart a pending load with the new options
+    promises.push(processFetchJsonElement(node, options, manualTrigger));
   });
 
-  if (!promises.length) {
-    return Promise.resolve([]);
-  }
+  return promises;
+}
 
-  return Promise.all(promises).catch((error) => {
-    throw error;
+export function autoloadFetchJson(roots, options = {}) {
+  // Elements kept by a morph are already loaded; only new ones start here
+  const nodes = helpers.collectElements(roots, FETCH_JSON_SELECTOR)
+    .filter((node) => !getState(node) || getState(node) === STATES.IDLE);
+  loadFetchJsonNodes(nodes, options, false).forEach((promise) => {
+    promise.catch(() => {
+      // Errors are already handled in processFetchJsonElement.
+    });
   });
 }
 
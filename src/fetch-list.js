@@ -5,6 +5,35 @@
 import * as helpers from './helpers.js';
 import * as templating from './templating.js';
 import * as formatters from './formatters.js';
+import * as parsers from './parsers.js';
+import * as swap from './swap.js';
+import { morph } from './morph.js';
+import {
+  sendRequest,
+  resolveCacheTtl,
+  resolveTimeout,
+  isStaleWhileRevalidate,
+  readPayload,
+  writePayload,
+  getCacheKey,
+  getValidators,
+  rememberValidators,
+  isNotModified,
+} from './request.js';
+import { resolveRetryPolicy, withRetry } from './retry.js';
+import { getRefreshInterval, ensurePolling, stopPolling } from './poll.js';
+import { openEventStream } from './sse.js';
+import { hasSocket, openSocketBinding } from './socket.js';
+import { applyPatch } from './json-patch.js';
+import { resolvePersist, withPersistence, isOfflineResponse } from './persist.js';
+import { hasGraphQL, buildGraphQLBody, unwrapGraphQLResponse } from './graphql.js';
+import {
+  ParseError,
+  TemplateError,
+  createHttpError,
+  getErrorTemplateAttributes,
+  buildErrorContext
+} from './errors.js';
 
 const STATE_ATTR = 'data-state';
 const STATES = {
@@ -12,8 +41,16 @@ const STATES = {
   LOADING: 'loading',
   READY: 'ready',
   EMPTY: 'empty',
+  REVALIDATING: 'revalidating',
+  RETRYING: 'retrying',
+  NOT_MODIFIED: 'not-modified',
+  DISCONNECTED: 'disconnected',
   ERROR: 'error',
 };
+const STALE_ATTR = 'data-stale';
+const OFFLINE_ATTR = 'data-offline';
+const LOADED_COUNT_ATTR = 'data-loaded-count';
+const STREAM_BATCH_SIZE = 100;
 
 function hasReplaceAttribute(element) {
   return Boolean(element && typeof element.hasAttribute === 'function' && element.hasAttribute('replace'));
@@ -93,6 +130,16 @@ function getState(element) {
     : null;
 }
 
+/**
+ * Checks whether reloads should morph the existing items instead of replacing them.
+ * @param {Element} element
+ * @param {Object} options
+ * @returns {boolean}
+ */
+function shouldMorph(element, options) {
+  return !hasReplaceAttribute(element) && swap.getSwapMode(element, options) === 'morph';
+}
+
 /**
  * Finds a state template (placeholder, empty, error).
  * @param {Element} element - fetch-list element
@@ -110,16 +157,50 @@ function findStateTemplate(element, attr) {
  * Renders a state template into the element.
  * @param {Element} element - Target element
  * @param {Element} stateTemplate - State template
+ * @param {Object} [data] - Placeholder data
  */
-function renderStateTemplate(element, stateTemplate) {
+function renderStateTemplate(element, stateTemplate, data) {
   if (!stateTemplate) return;
   
   const content = templating.getTemplateContent(stateTemplate);
   if (!content) return;
   
+  const rendered = data
+    ? templating.processTemplate(content, data, { root: data, data, ancestors: [], depth: 0 })
+    : content;
+  
   // Clear and insert state content
   element.innerHTML = '';
-  element.appendChild(content);
+  element.appendChild(rendered);
+}
+
+/**
+ * Marks whether the element shows a persisted copy served while offline.
+ * @param {Element} element - fetch-list element
+ * @param {boolean} offline
+ */
+function setOffline(element, offline) {
+  if (offline) {
+    element.setAttribute(OFFLINE_ATTR, '');
+  } else {
+    element.removeAttribute(OFFLINE_ATTR);
+  }
+}
+
+/**
+ * Renders the most specific error template for an error
+ * (`error-404`, then `error-4xx`, then `error`) with the error fields as placeholders.
+ * @param {Element} element - fetch-list element
+ * @param {Error} error
+ */
+function renderErrorTemplate(element, error) {
+  const errorTemplate = getErrorTemplateAttributes(error)
+    .map((attr) => findStateTemplate(element, attr))
+    .filter(Boolean)[0];
+  
+  if (errorTemplate) {
+    renderStateTemplate(element, errorTemplate, buildErrorContext(error, element.getAttribute('url') || ''));
+  }
 }
 
 /**
@@ -197,9 +278,13 @@ function buildRequestInit(element, options) {
     }
   }
   
-  // Body
-  if (options && options.body) {
-    if (typeof options.body === 'function') {
+  // Body (GraphQL elements post their query)
+  const graphql = hasGraphQL(element, options);
+  if (graphql || (options && options.body)) {
+    if (graphql) {
+      init.method = init.method || 'POST';
+      init.body = buildGraphQLBody(element, options);
+    } else if (typeof options.body === 'function') {
       try {
         init.body = options.body(element);
       } catch (error) {
@@ -223,17 +308,12 @@ function buildRequestInit(element, options) {
 }
 
 /**
- * Fetches data for a fetch-list element.
+ * Resolves the request URL (with query params) and RequestInit for a fetch-list element.
  * @param {Element} element
  * @param {Object} options
- * @returns {Promise<Array>}
+ * @returns {{url: string, init: Object}}
  */
-async function fetchData(element, options) {
-  const fetcher = getFetcher(options);
-  if (!fetcher) {
-    throw new Error('fetch implementation not available.');
-  }
-  
+function resolveRequest(element, options) {
   let url = element.getAttribute('url');
   if (!url) {
     throw new Error('url attribute is required.');
@@ -250,24 +330,143 @@ async function fetchData(element, options) {
     params = typeof options.params === 'function' ? options.params(element) : options.params;
   }
   
-  const finalUrl = buildUrl(url, params);
-  const requestInit = buildRequestInit(element, options);
+  return { url: buildUrl(url, params), init: buildRequestInit(element, options) };
+}
+
+/**
+ * Resolves the format of a response: the `format` option or attribute, else
+ * the parser registered for its Content-Type, else JSON.
+ * GraphQL responses are always JSON.
+ * @param {Element} element
+ * @param {Object} options
+ * @param {Response} response
+ * @returns {string} Format name
+ */
+function resolveFormat(element, options, response) {
+  if (hasGraphQL(element, options)) {
+    return 'json';
+  }
+  
+  const format = String((options && options.format) || element.getAttribute('format') || '').trim().toLowerCase();
+  if (format && format !== 'auto') {
+    return format;
+  }
   
-  const response = await fetcher(finalUrl, requestInit);
+  const contentType = response.headers && typeof response.headers.get === 'function'
+    ? response.headers.get('Content-Type')
+    : '';
+  return parsers.detect(contentType) || 'json';
+}
+
+/**
+ * Parses a response body into a payload with the parser for its format.
+ * @param {Element} element
+ * @param {Object} options
+ * @param {Response} response
+ * @param {string} url - Requested URL, for errors
+ * @returns {Promise<*>}
+ * @throws {ParseError} When the body does not parse
+ */
+async function parseResponse(element, options, response, url) {
+  const format = resolveFormat(element, options, response);
+  const parse = parsers.get(format);
+  if (!parse && format !== 'json') {
+    throw new Error(`Unknown format "${format}".`);
+  }
+  
+  try {
+    if (!parse) {
+      return await response.json();
+    }
+    
+    const contentType = response.headers && typeof response.headers.get === 'function'
+      ? response.headers.get('Content-Type') || ''
+      : '';
+    return parse(await response.text(), { element, options, contentType });
+  } catch (error) {
+    throw new ParseError(url, error);
+  }
+}
+
+/**
+ * Sends the request for a fetch-list element and checks the response.
+ * Sets `request.offline`, and `request.notModified` for a 304 answer.
+ * @param {Element} element
+ * @param {Object} options
+ * @param {Object} request - Resolved request from resolveRequest()
+ * @param {Function} [onRetry] - Called before each retry: `(attempt, error) => void`
+ * @returns {Promise<Response|null>} The response, or null when not modified
+ */
+async function fetchResponse(element, options, request, onRetry) {
+  const fetcher = getFetcher(options);
+  if (!fetcher) {
+    throw new Error('fetch implementation not available.');
+  }
+  
+  // Streamed bodies may never end, so they are neither buffered nor persisted
+  const streaming = isNdjsonStream(element, options);
+  const response = await withPersistence(
+    () => withRetry(
+      () => sendRequest(fetcher, request.url, request.init, {
+        ttl: resolveCacheTtl(element, options),
+        timeout: resolveTimeout(element, options),
+        element,
+        validators: request.validators,
+        stream: streaming,
+      }),
+      resolveRetryPolicy(element, options),
+      { signal: request.init && request.init.signal, onRetry }
+    ),
+    getCacheKey(request.url, request.init),
+    streaming ? null : resolvePersist(element, options),
+    request.init
+  );
+  request.offline = isOfflineResponse(response);
   
   if (!response || typeof response.json !== 'function') {
     throw new TypeError('Invalid fetch response.');
   }
   
+  if (request.validators && isNotModified(response)) {
+    request.notModified = true;
+    return null;
+  }
+  
   if (!response.ok) {
-    const error = new Error(`Fetch failed: ${response.status} ${response.statusText}`);
-    error.response = response;
-    throw error;
+    throw await createHttpError(response, request.url);
+  }
+  
+  rememberValidators(element, request.url, request.init, response);
+  return response;
+}
+
+/**
+ * Fetches data for a fetch-list element.
+ * @param {Element} element
+ * @param {Object} options
+ * @param {Object} request - Resolved request from resolveRequest()
+ * @param {Function} [onRetry] - Called before each retry: `(attempt, error) => void`
+ * @returns {Promise<*>} Parsed payload, or null when not modified
+ */
+async function fetchData(element, options, request, onRetry) {
+  const response = await fetchResponse(element, options, request, onRetry);
+  if (!response) {
+    return null;
   }
   
-  const data = await response.json();
+  const payload = await parseResponse(element, options, response, request.url);
   
-  // Apply transform
+  return hasGraphQL(element, options) ? unwrapGraphQLResponse(payload, element, options, request.url) : payload;
+}
+
+/**
+ * Applies the transform hook to a payload.
+ * @param {*} data
+ * @param {Element} element
+ * @param {Object} options
+ * @returns {*}
+ */
+function transformData(data, element, options) {
   if (options && typeof options.transform === 'function') {
     try {
       return options.transform(data, element);
@@ -295,14 +494,12 @@ function renderItems(element, items, options) {
   // Find template
   const templateAttr = element.getAttribute('template');
   if (!templateAttr) {
-    console.error('fetch-list requires a "template" attribute that references a document-level template.');
-    return;
+    throw new TemplateError('fetch-list requires a "template" attribute that references a document-level template.');
   }
 
   const template = templating.findTemplate(templateAttr, element);
   if (!template) {
-    console.error('No template found for fetch-list.');
-    return;
+    throw new TemplateError(`fetch-list template not found: ${templateAttr}`, templateAttr);
   }
   
   // beforeRender hook
@@ -332,6 +529,13 @@ function renderItems(element, items, options) {
 
     renderedElements = nodesToInsert.filter((node) => node.nodeType === Node.ELEMENT_NODE);
     renderedElements.forEach((node) => processInnerLists(node));
+  } else if (shouldMorph(element, options)) {
+    // Render nested lists up front so the morph sees the final markup
+    processInnerLists(fragment);
+    morph(element, fragment);
+    element._fetchtmlReplacedNodes = null;
+
+    renderedElements = Array.from(element.children);
   } else {
     element.innerHTML = '';
     element.appendChild(fragment);
@@ -493,74 +697,738 @@ function attachDescriptors(descriptors) {
 }
 
 /**
- * Main processing function for fetch-list element.
+ * Cancels the in-flight request, stream or socket of a fetch-list element.
+ * Responses of cancelled requests are ignored even when the fetch implementation
+ * does not support abort signals.
+ * @param {Element} element
+ * @returns {boolean} True if a request was pending
+ */
+function abortRequest(element) {
+  const state = getState(element);
+  const pending = Boolean(element._fetchtmlAbortController)
+    || state === STATES.LOADING
+    || state === STATES.RETRYING;
+  element._fetchtmlRequestId = (element._fetchtmlRequestId || 0) + 1;
+  
+  if (element._fetchtmlAbortController) {
+    element._fetchtmlAbortController.abort();
+    element._fetchtmlAbortController = null;
+  }
+  
+  if (element._fetchtmlReader) {
+    element._fetchtmlReader.cancel().then(null, () => {});
+    element._fetchtmlReader = null;
+  }
+  
+  if (element._fetchtmlStream) {
+    element._fetchtmlStream.close();
+    element._fetchtmlStream = null;
+    return true;
+  }
+  
+  if (element._fetchtmlSocket) {
+    element._fetchtmlSocket.close();
+    element._fetchtmlSocket = null;
+    return true;
+  }
+  
+  return pending;
+}
+
+/**
+ * Adds an abort signal to the request init when AbortController is available.
+ * @param {Element} element
+ * @param {Object} requestInit
+ * @returns {Object}
+ */
+function withAbortSignal(element, requestInit) {
+  if (typeof AbortController !== 'function' || (requestInit && requestInit.signal)) {
+    return requestInit;
+  }
+  
+  element._fetchtmlAbortController = new AbortController();
+  return { ...requestInit, signal: element._fetchtmlAbortController.signal };
+}
+
+/**
+ * Calls the onStateChange hook.
  * @param {Element} element
  * @param {Object} options
- * @returns {Promise}
+ * @param {string} state
  */
-async function processFetchList(element, options = {}) {
-  restoreReplaceTarget(element, 'fetch-list');
+function notifyStateChange(element, options, state) {
+  if (typeof options.onStateChange === 'function') {
+    try {
+      options.onStateChange(state, element);
+    } catch (error) {
+      console.error('onStateChange hook error:', error);
+    }
+  }
+}
 
-  const currentState = getState(element);
+/**
+ * Renders items, or the empty state when there are none.
+ * @param {Element} element
+ * @param {Array} items
+ * @param {Object} options
+ * @returns {string} The resulting state
+ */
+function renderItemList(element, items, options) {
+  if (items.length === 0) {
+    setState(element, STATES.EMPTY);
+    const emptyTemplate = findStateTemplate(element, 'empty');
+    if (emptyTemplate) {
+      renderStateTemplate(element, emptyTemplate);
+    } else {
+      element.innerHTML = '';
+    }
+    
+    return STATES.EMPTY;
+  }
   
-  // Prevent duplicate loads
-  if (currentState === STATES.LOADING) {
-    return Promise.resolve();
+  // Render items
+  renderItems(element, items, options);
+  setState(element, STATES.READY);
+  return STATES.READY;
+}
+
+/**
+ * Renders a payload as items or the empty state.
+ * @param {Element} element
+ * @param {{data: *, text: string|null}} payload - Parsed payload and its serialized form
+ * @param {Object} options
+ * @returns {string} The resulting state
+ */
+function renderPayload(element, payload, options) {
+  const data = transformData(payload.data, element, options);
+  element._fetchtmlPayload = payload.text;
+  
+  // Ensure data is array
+  return renderItemList(element, Array.isArray(data) ? data : [], options);
+}
+
+/**
+ * Checks whether a fetch-list receives its items from a Server-Sent Events stream.
+ * @param {Element} element
+ * @param {Object} options
+ * @returns {boolean}
+ */
+function isEventStream(element, options) {
+  const mode = options && options.stream !== undefined ? options.stream : element.getAttribute('stream');
+  return typeof mode === 'string' && mode.trim().toLowerCase() === 'sse';
+}
+
+/**
+ * Checks whether a fetch-list renders an NDJSON response as it arrives.
+ * @param {Element} element
+ * @param {Object} options
+ * @returns {boolean}
+ */
+function isNdjsonStream(element, options) {
+  const mode = options && options.stream !== undefined ? options.stream : element.getAttribute('stream');
+  return typeof mode === 'string' && mode.trim().toLowerCase() === 'ndjson';
+}
+
+/**
+ * Gets the number of streamed items rendered at a time.
+ * @param {Element} element
+ * @param {Object} options
+ * @returns {number}
+ */
+function getStreamBatchSize(element, options) {
+  const value = options && options.batchSize !== undefined ? options.batchSize : element.getAttribute('batch-size');
+  const size = parseInt(value, 10);
+  return size > 0 ? size : STREAM_BATCH_SIZE;
+}
+
+/**
+ * Gets the item field that identifies stream items.
+ * @param {Element} element
+ * @param {Object} options
+ * @returns {string}
+ */
+function getItemKey(element, options) {
+  return (options && options.itemKey) || element.getAttribute('item-key') || 'id';
+}
+
+/**
+ * Reads the key of a stream item, or treats a primitive as the key itself.
+ * @param {*} item
+ * @param {string} keyField
+ * @returns {string|null}
+ */
+function readItemKey(item, keyField) {
+  if (item !== null && typeof item === 'object') {
+    const value = templating.resolvePath(item, keyField);
+    return value === undefined || value === null ? null : String(value);
+  }
+  
+  return item === undefined || item === null ? null : String(item);
+}
+
+/**
+ * Finds the rendered descriptor of a top-level item by key.
+ * @param {Element} element
+ * @param {string} keyField
+ * @param {string} key
+ * @returns {Object|null}
+ */
+function findItemDescriptor(element, keyField, key) {
+  const match = helpers.toArray(element.children).filter((node) => (
+    node._fetchtmlDescriptor && readItemKey(node._fetchtmlDescriptor.data, keyField) === key
+  ))[0];
+  
+  return match ? match._fetchtmlDescriptor : null;
+}
+
+/**
+ * Renders stream items through the list template.
+ * @param {Element} element
+ * @param {Array} items
+ * @param {Object} options
+ * @returns {{fragment: DocumentFragment, descriptors: Array}}
+ */
+function renderStreamItems(element, items, options) {
+  const templateAttr = element.getAttribute('template');
+  const template = templateAttr ? templating.findTemplate(templateAttr, element) : null;
+  if (!template) {
+    throw new TemplateError(`fetch-list template not found: ${templateAttr || ''}`, templateAttr || '');
+  }
+  
+  const rendered = templating.renderList(items, template, {
+    context: options?.context,
+    beforeRender: options?.beforeItemRender,
+  });
+  attachDescriptors(rendered.descriptors);
+  return rendered;
+}
+
+/**
+ * Inserts rendered stream items before a reference node and runs the render hooks.
+ * @param {Element} element
+ * @param {Object} rendered - Result of renderStreamItems()
+ * @param {Node|null} reference - Node to insert before, or null to append
+ * @param {Object} options
+ */
+function insertStreamItems(element, rendered, reference, options) {
+  const nodes = Array.from(rendered.fragment.childNodes);
+  element.insertBefore(rendered.fragment, reference);
+  
+  const renderedElements = nodes.filter((node) => node.nodeType === Node.ELEMENT_NODE);
+  renderedElements.forEach((node) => processInnerLists(node));
+  
+  if (options && typeof options.afterRender === 'function') {
+    try {
+      options.afterRender(renderedElements, element);
+    } catch (error) {
+      console.error('afterRender hook error:', error);
+    }
+  }
+}
+
+/**
+ * Removes the nodes of a rendered item.
+ * @param {Object} descriptor
+ */
+function removeItemNodes(descriptor) {
+  descriptor.nodes.forEach((node) => {
+    if (node.parentNode) {
+      node.parentNode.removeChild(node);
+    }
+  });
+}
+
+/**
+ * Renders a batch of streamed NDJSON records after the items already shown.
+ * The first rendered batch replaces the placeholder or the previous items.
+ * @param {Element} element
+ * @param {Array} records
+ * @param {Object} options
+ * @param {boolean} first - Nothing from this response is rendered yet
+ * @returns {number} Number of items rendered
+ */
+function appendStreamBatch(element, records, options, first) {
+  const data = transformData(records, element, options);
+  const items = Array.isArray(data) ? data : [];
+  if (!items.length) {
+    return 0;
+  }
+  
+  // beforeRender hook
+  if (options && typeof options.beforeRender === 'function') {
+    try {
+      options.beforeRender(items, element);
+    } catch (error) {
+      console.error('beforeRender hook error:', error);
+    }
+  }
+  
+  const rendered = renderStreamItems(element, items, options);
+  if (first) {
+    element.innerHTML = '';
+  }
+  insertStreamItems(element, rendered, null, options);
+  return items.length;
+}
+
+/**
+ * Reads an NDJSON response and renders its records in batches as they arrive.
+ * The list turns `ready` with the first batch and `data-loaded-count` tracks
+ * the number of rendered items.
+ * @param {Element} element
+ * @param {Response} response
+ * @param {Object} options
+ * @param {Function} isCurrent - Returns false once the load is superseded or cancelled
+ * @returns {Promise<string|null>} The resulting state, or null when cancelled
+ */
+async function renderNdjsonStream(element, response, options, isCurrent) {
+  const url = element.getAttribute('url') || '';
+  const batchSize = getStreamBatchSize(element, options);
+  const decoder = parsers.createNdjsonDecoder();
+  let count = 0;
+  
+  const decode = (read) => {
+    try {
+      return read();
+    } catch (error) {
+      throw new ParseError(url, error);
+    }
+  };
+  
+  const render = async (records) => {
+    for (let start = 0; start < records.length; start += batchSize) {
+      // Let the browser paint between batches
+      if (start > 0) {
+        await new Promise((resolve) => setTimeout(resolve, 0));
+        if (!isCurrent()) {
+          return;
+        }
+      }
+      
+      const first = count === 0;
+      count += appendStreamBatch(element, records.slice(start, start + batchSize), options, first);
+      element.setAttribute(LOADED_COUNT_ATTR, String(count));
+      
+      if (first && count > 0) {
+        setState(element, STATES.READY);
+        notifyStateChange(element, options, STATES.READY);
+      }
+    }
+  };
+  
+  const body = response.body;
+  if (!body || typeof body.getReader !== 'function' || typeof TextDecoder !== 'function') {
+    // No streaming support: render the whole body once it has arrived
+    const text = await response.text();
+    await render(decode(() => decoder.push(text).concat(decoder.end())));
+  } else {
+    const reader = body.getReader();
+    const textDecoder = new TextDecoder();
+    let done = false;
+    element._fetchtmlReader = reader;
+    
+    try {
+      while (!done) {
+        const chunk = await reader.read();
+        if (!isCurrent()) {
+          return null;
+        }
+        
+        done = chunk.done;
+        const text = done ? textDecoder.decode() : textDecoder.decode(chunk.value, { stream: true });
+        await render(decode(() => (done ? decoder.push(text).concat(decoder.end()) : decoder.push(text))));
+        if (!isCurrent()) {
+          return null;
+        }
+      }
+    } finally {
+      if (element._fetchtmlReader === reader) {
+        element._fetchtmlReader = null;
+      }
+      if (!done) {
+        reader.cancel().then(null, () => {});
+      }
+    }
+  }
+  
+  if (!isCurrent()) {
+    return null;
+  }
+  
+  if (count === 0) {
+    element.setAttribute(LOADED_COUNT_ATTR, '0');
+    const state = renderItemList(element, [], options);
+    notifyStateChange(element, options, state);
+    return state;
+  }
+  
+  return STATES.READY;
+}
+
+/**
+ * Applies one stream event to a fetch-list.
+ * `replace` renders a full list; `append`, `upsert` and `remove` change single
+ * items (or arrays of items) matched by the `item-key` field. `transform`
+ * receives the items of every event except `remove` as an array.
+ * @param {Element} element
+ * @param {string} type - replace, append, upsert or remove
+ * @param {*} data - Event payload
+ * @param {Object} options
+ */
+function applyStreamEvent(element, type, data, options) {
+  const keyField = getItemKey(element, options);
+  let changes = Array.isArray(data) ? data : [data];
+  // transform sees the items of every event as an array, like NDJSON batches;
+  // remove payloads may be bare keys, so they stay as sent
+  if (type !== 'remove') {
+    const transformed = transformData(type === 'replace' ? data : changes, element, options);
+    changes = Array.isArray(transformed) ? transformed : [];
   }
+  const current = element._fetchtmlItems || [];
+  // Lists rendered with `replace` live outside the element, so they always re-render in full
+  const canPatch = getState(element) === STATES.READY && !hasReplaceAttribute(element);
+  let items = current.slice();
   
-  // Show placeholder
+  if (type === 'replace') {
+    items = changes;
+  } else if (type === 'remove') {
+    changes.forEach((change) => {
+      const key = readItemKey(change, keyField);
+      items = items.filter((item) => readItemKey(item, keyField) !== key);
+      
+      const descriptor = canPatch ? findItemDescriptor(element, keyField, key) : null;
+      if (descriptor) {
+        removeItemNodes(descriptor);
+      }
+    });
+  } else {
+    changes.forEach((change) => {
+      const key = readItemKey(change, keyField);
+      const index = type === 'upsert'
+        ? items.map((item) => readItemKey(item, keyField)).indexOf(key)
+        : -1;
+      
+      if (index !== -1) {
+        items[index] = change;
+      } else {
+        items.push(change);
+      }
+      
+      if (!canPatch) {
+        return;
+      }
+      
+      const rendered = renderStreamItems(element, [change], options);
+      const previous = index !== -1 ? findItemDescriptor(element, keyField, key) : null;
+      insertStreamItems(element, rendered, previous ? previous.nodes[0] : null, options);
+      if (previous) {
+        removeItemNodes(previous);
+      }
+    });
+  }
+  
+  element._fetchtmlItems = items;
+  
+  // Full renders cover replacements and moving in or out of the empty state
+  let state = STATES.READY;
+  if (type === 'replace' || !canPatch || items.length === 0) {
+    restoreReplaceTarget(element, 'fetch-list');
+    state = renderItemList(element, items, options);
+  }
+  
+  notifyStateChange(element, options, state);
+}
+
+/**
+ * Builds connection callbacks that track the `disconnected` state of a live list.
+ * Reconnecting restores the state the list had before the connection dropped.
+ * @param {Element} element
+ * @param {Object} options
+ * @returns {{onOpen: Function, onDisconnect: Function}}
+ */
+function createConnectionHandlers(element, options) {
+  let previousState = null;
+  
+  return {
+    onOpen: () => {
+      if (getState(element) === STATES.DISCONNECTED) {
+        setState(element, previousState);
+        notifyStateChange(element, options, previousState);
+      }
+    },
+    onDisconnect: () => {
+      const state = getState(element);
+      if (state !== STATES.DISCONNECTED) {
+        previousState = state;
+        setState(element, STATES.DISCONNECTED);
+        notifyStateChange(element, options, STATES.DISCONNECTED);
+      }
+    },
+  };
+}
+
+/**
+ * Connects a fetch-list to its Server-Sent Events stream.
+ * @param {Element} element
+ * @param {Object} options
+ */
+function openListStream(element, options) {
+  const request = resolveRequest(element, options);
+  
+  element._fetchtmlItems = null;
+  element._fetchtmlStream = openEventStream(request.url, {
+    withCredentials: request.init && request.init.credentials === 'include',
+    onEvent: (type, data) => {
+      try {
+        applyStreamEvent(element, type, data, options);
+      } catch (error) {
+        console.error('fetch-list stream error:', error);
+      }
+    },
+    ...createConnectionHandlers(element, options),
+  });
+}
+
+/**
+ * Renders the current socket data of a fetch-list.
+ * @param {Element} element
+ * @param {*} data - Raw data before `transform`
+ * @param {Object} options
+ */
+function renderSocketData(element, data, options) {
+  element._fetchtmlSocketData = data;
+  restoreReplaceTarget(element, 'fetch-list');
+  const state = renderPayload(element, { data, text: null }, options);
+  notifyStateChange(element, options, state);
+}
+
+/**
+ * Binds a fetch-list to its WebSocket (or custom transport).
+ * Messages replace the whole list or patch the current data.
+ * @param {Element} element
+ * @param {Object} options
+ */
+function openListSocket(element, options) {
+  element._fetchtmlSocketData = null;
+  element._fetchtmlSocket = openSocketBinding(element, options, {
+    onData: (data) => {
+      try {
+        renderSocketData(element, data, options);
+      } catch (error) {
+        console.error('fetch-list socket error:', error);
+      }
+    },
+    onPatch: (operations) => {
+      if (element._fetchtmlSocketData === null) {
+        console.warn('fetch-list ignored a JSON Patch received before any data.');
+        return;
+      }
+      
+      try {
+        renderSocketData(element, applyPatch(element._fetchtmlSocketData, operations), options);
+      } catch (error) {
+        console.error('fetch-list socket patch error:', error);
+      }
+    },
+    ...createConnectionHandlers(element, options),
+  });
+}
+
+/**
+ * Shows the placeholder and opens a live connection (stream or socket).
+ * @param {Element} element
+ * @param {Object} options
+ * @param {Function} connect - openListStream or openListSocket
+ */
+function startLiveList(element, options, connect) {
+  restoreReplaceTarget(element, 'fetch-list');
   setState(element, STATES.LOADING);
   const placeholderTemplate = findStateTemplate(element, 'placeholder');
   if (placeholderTemplate) {
     renderStateTemplate(element, placeholderTemplate);
   }
+  notifyStateChange(element, options, STATES.LOADING);
   
-  // Notify state change
-  if (typeof options.onStateChange === 'function') {
-    try {
-      options.onStateChange(STATES.LOADING, element);
-    } catch (error) {
-      console.error('onStateChange hook error:', error);
+  try {
+    connect(element, options);
+  } catch (error) {
+    setState(element, STATES.ERROR);
+    renderErrorTemplate(element, error);
+    
+    if (typeof options.onError === 'function') {
+      try {
+        options.onError(error, element);
+      } catch (hookError) {
+        console.error('onError hook error:', hookError);
+      }
+    } else {
+      console.error('fetch-list error:', error);
     }
+    
+    notifyStateChange(element, options, STATES.ERROR);
+    throw error;
+  }
+}
+
+/**
+ * Main processing function for fetch-list element.
+ * With `cache="swr"`, the last known payload renders immediately and is
+ * re-rendered only if revalidation returns different data.
+ * @param {Element} element
+ * @param {Object} options
+ * @param {boolean} [force] - Cancel a pending request and start over instead of skipping
+ * @returns {Promise}
+ */
+async function processFetchList(element, options = {}, force = false) {
+  const currentState = getState(element);
+  
+  // Prevent duplicate loads (streamed lists are ready while they still load)
+  if (!force && (currentState === STATES.LOADING || currentState === STATES.RETRYING || element._fetchtmlReader)) {
+    return Promise.resolve();
+  }
+  
+  // A newer load always wins over an older one
+  abortRequest(element);
+  const requestId = element._fetchtmlRequestId;
+  const isCurrent = () => element._fetchtmlRequestId === requestId;
+  
+  // Live lists are fed by a socket or stream instead of a one-shot fetch
+  if (hasSocket(element, options)) {
+    startLiveList(element, options, openListSocket);
+    return;
   }
   
+  if (isEventStream(element, options)) {
+    startLiveList(element, options, openListStream);
+    return;
+  }
+  
+  const staleWhileRevalidate = isStaleWhileRevalidate(element, options);
+  let stale = null;
+  
+  const onRetry = (attempt, error) => {
+    if (!isCurrent()) {
+      return;
+    }
+    
+    // Revalidating lists keep showing their stale items
+    if (!stale) {
+      setState(element, STATES.RETRYING);
+    }
+    
+    notifyStateChange(element, options, STATES.RETRYING);
+    
+    if (typeof options.onRetry === 'function') {
+      try {
+        options.onRetry(attempt, error, element);
+      } catch (hookError) {
+        console.error('onRetry hook error:', hookError);
+      }
+    }
+  };
+  
   try {
-    const data = await fetchData(element, options);
+    const request = resolveRequest(element, options);
+    request.init = withAbortSignal(element, request.init);
+    stale = staleWhileRevalidate ? readPayload(request.url, request.init) : null;
     
-    // Ensure data is array
-    const items = Array.isArray(data) ? data : [];
+    // Items rendered from an earlier response are revalidated with a conditional request
+    const showing = currentState === STATES.READY || currentState === STATES.EMPTY;
+    request.validators = showing ? getValidators(element, request.url, request.init) : null;
     
-    if (items.length === 0) {
-      setState(element, STATES.EMPTY);
-      const emptyTemplate = findStateTemplate(element, 'empty');
-      if (emptyTemplate) {
-        renderStateTemplate(element, emptyTemplate);
-      } else {
-        element.innerHTML = '';
+    if (stale) {
+      // Show the last known data right away, then refresh it in the background
+      if (!showing || element._fetchtmlPayload !== stale.text) {
+        restoreReplaceTarget(element, 'fetch-list');
+        renderPayload(element, stale, options);
+        request.validators = null;
+      }
+      element.setAttribute(STALE_ATTR, '');
+      notifyStateChange(element, options, STATES.REVALIDATING);
+    } else {
+      // Conditional requests keep the current items until the response arrives
+      if (!request.validators) {
+        restoreReplaceTarget(element, 'fetch-list');
+      }
+      
+      // Show placeholder (morphing and conditional reloads keep the rendered items instead)
+      setState(element, STATES.LOADING);
+      const keepContent = Boolean(request.validators) || (currentState === STATES.READY && shouldMorph(element, options));
+      const placeholderTemplate = keepContent ? null : findStateTemplate(element, 'placeholder');
+      if (placeholderTemplate) {
+        renderStateTemplate(element, placeholderTemplate);
       }
       
-      if (typeof options.onStateChange === 'function') {
-        options.onStateChange(STATES.EMPTY, element);
+      notifyStateChange(element, options, STATES.LOADING);
+    }
+    
+    const streaming = isNdjsonStream(element, options);
+    const data = streaming
+      ? await fetchResponse(element, options, request, onRetry)
+      : await fetchData(element, options, request, onRetry);
+    if (!isCurrent()) {
+      return;
+    }
+    
+    // Streamed lists can still be cancelled while the body arrives
+    if (!streaming) {
+      element._fetchtmlAbortController = null;
+    }
+    
+    // 304: the rendered items are still current
+    if (request.notModified) {
+      element._fetchtmlAbortController = null;
+      element.removeAttribute(STALE_ATTR);
+      setOffline(element, false);
+      setState(element, currentState);
+      notifyStateChange(element, options, STATES.NOT_MODIFIED);
+      return;
+    }
+    
+    if (streaming) {
+      restoreReplaceTarget(element, 'fetch-list');
+      element._fetchtmlPayload = null;
+      const state = await renderNdjsonStream(element, data, options, isCurrent);
+      if (!state) {
+        return;
       }
       
+      element._fetchtmlAbortController = null;
+      element.removeAttribute(STALE_ATTR);
+      setOffline(element, request.offline);
       return;
     }
     
-    // Render items
-    renderItems(element, items, options);
-    setState(element, STATES.READY);
+    const text = staleWhileRevalidate ? writePayload(request.url, request.init, data) : null;
     
-    if (typeof options.onStateChange === 'function') {
-      options.onStateChange(STATES.READY, element);
+    // Unchanged revalidation: keep the rendered items
+    if (stale && element._fetchtmlPayload === text) {
+      element.removeAttribute(STALE_ATTR);
+      setOffline(element, request.offline);
+      notifyStateChange(element, options, getState(element));
+      return;
     }
     
+    restoreReplaceTarget(element, 'fetch-list');
+    const state = renderPayload(element, { data, text }, options);
+    element.removeAttribute(STALE_ATTR);
+    setOffline(element, request.offline);
+    notifyStateChange(element, options, state);
+    
   } catch (error) {
-    setState(element, STATES.ERROR);
+    // Superseded by a newer reload or cancelled through abort()
+    if (!isCurrent()) {
+      return;
+    }
+    
+    element._fetchtmlAbortController = null;
     
-    // Show error template
-    const errorTemplate = findStateTemplate(element, 'error');
-    if (errorTemplate) {
-      renderStateTemplate(element, errorTemplate);
+    // Keep showing the stale data when revalidation fails
+    if (!stale) {
+      restoreReplaceTarget(element, 'fetch-list');
+      setState(element, STATES.ERROR);
+      setOffline(element, false);
+      renderErrorTemplate(element, error);
     }
     
     // Call error hook
@@ -574,11 +1442,18 @@ async function processFetchList(element, options = {}) {
       console.error('fetch-list error:', error);
     }
     
-    if (typeof options.onStateChange === 'function') {
-      options.onStateChange(STATES.ERROR, element);
+    if (stale) {
+      return;
     }
     
+    notifyStateChange(element, options, STATES.ERROR);
+    
     throw error;
+  } finally {
+    if (isCurrent()) {
+      // Poll with the options of the latest load; pending loads are never stacked
+      ensurePolling(element, getRefreshInterval(element, options), () => processFetchList(element, options));
+    }
   }
 }
 
@@ -586,21 +1461,28 @@ async function processFetchList(element, options = {}) {
  * Creates a controller for a fetch-list element.
  * @param {Element} element
  * @param {Object} options
- * @returns {Object} Controller with reload, setOptions, destroy methods
+ * @returns {Object} Controller with reload, setOptions, abort, destroy methods
  */
 export function createController(element, options = {}) {
   let currentOptions = { ...options };
-  let observer = null;
+  let unobserve = null;
   
   const controller = {
     /**
      * Reloads the fetch-list with optional overrides.
+     * A pending request is cancelled in favour of the new one.
      * @param {Object} overrides
      * @returns {Promise}
      */
     reload(overrides = {}) {
       const mergedOptions = { ...currentOptions, ...overrides };
-      return processFetchList(element, mergedOptions);
+      
+      // Overrides can change the rendering, so the next response must render in full
+      if (Object.keys(overrides).length) {
+        element._fetchtmlValidators = null;
+      }
+      
+      return processFetchList(element, mergedOptions, true);
     },
     
     /**
@@ -611,16 +1493,33 @@ export function createController(element, options = {}) {
       currentOptions = { ...currentOptions, ...newOptions };
     },
     
+    /**
+     * Cancels the pending request, if any, and returns the element to idle.
+     */
+    abort() {
+      // Stale items stay on screen when their revalidation is cancelled, and so do streamed items
+      const revalidating = element.hasAttribute(STALE_ATTR);
+      const streaming = Boolean(element._fetchtmlReader) && getState(element) === STATES.READY;
+      if (abortRequest(element) && !revalidating && !streaming) {
+        setState(element, STATES.IDLE);
+        notifyStateChange(element, currentOptions, STATES.IDLE);
+      }
+    },
+    
     /**
      * Destroys the controller and cleans up.
      */
     destroy() {
-      if (observer) {
-        observer.disconnect();
-        observer = null;
+      abortRequest(element);
+      stopPolling(element);
+      
+      if (unobserve) {
+        unobserve();
+        unobserve = null;
       }
       
       setState(element, STATES.IDLE);
+      notifyStateChange(element, currentOptions, STATES.IDLE);
       element._fetchtmlController = null;
     },
   };
@@ -638,19 +1537,15 @@ export function createController(element, options = {}) {
     });
   } else if (loadMode === 'lazy') {
     // Load when visible
-    if (typeof IntersectionObserver !== 'undefined') {
-      observer = new IntersectionObserver((entries) => {
-        entries.forEach((entry) => {
-          if (entry.isIntersecting) {
-            processFetchList(element, currentOptions).catch(() => {});
-            observer.disconnect();
-            observer = null;
-          }
-        });
-      });
-      
-      observer.observe(element);
-    } else {
+    unobserve = helpers.observeViewport(element, (visible) => {
+      if (visible && unobserve) {
+        unobserve();
+        unobserve = null;
+        processFetchList(element, currentOptions).catch(() => {});
+      }
+    });
+    
+    if (!unobserve) {
       // Fallback: load after a short delay
       setTimeout(() => {
         processFetchList(element, currentOptions).catch(() => {});
@@ -690,6 +1585,20 @@ export function fetchList(elementOrSelector, options = {}) {
   return createController(element, options);
 }
 
+/**
+ * Initializes fetch-list elements found in freshly inserted content.
+ * The controller applies each element's load mode.
+ * @param {Node|Node[]} roots - Inserted node or nodes
+ * @param {Object} [options] - Options object
+ */
+export function autoloadFetchList(roots, options = {}) {
+  helpers.collectElements(roots, 'fetch-list').forEach((element) => {
+    if (!element._fetchtmlController) {
+      createController(element, options);
+    }
+  });
+}
+
 /**
  * Auto-initializes fetch-list elements on DOMContentLoaded.
  */
@@ -707,4 +1616,4 @@ export function initFetchListAutoload() {
 }
 
 // Export formatters for public API
-export { formatters };
+export { formatters, parsers };
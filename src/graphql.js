@@ -0,0 +1,101 @@
+/**
+ * GraphQL mode for fetch-json and fetch-list.
+ *
+ * The `query` attribute points at a `<script type="application/graphql">` or
+ * `<template>` holding the query. Requests POST a standard
+ * `{ query, variables }` payload, and responses are unwrapped from `data`.
+ */
+
+import * as helpers from './helpers.js';
+import * as templating from './templating.js';
+import { GraphQLError, TemplateError } from './errors.js';
+
+/**
+ * Checks whether an element runs in GraphQL mode.
+ * @param {Element} element
+ * @param {Object} [options]
+ * @returns {boolean}
+ */
+export function hasGraphQL(element, options) {
+  return Boolean((options && options.query)
+    || (element && typeof element.hasAttribute === 'function' && element.hasAttribute('query')));
+}
+
+/**
+ * Reads the query text from the `query` option or the element the attribute points at.
+ * @param {Element} element
+ * @param {Object} [options]
+ * @returns {string}
+ */
+function readQuery(element, options) {
+  if (options && options.query) {
+    return typeof options.query === 'function' ? options.query(element) : options.query;
+  }
+
+  const selector = element.getAttribute('query');
+  const source = templating.findTemplate(selector, element);
+  if (!source) {
+    throw new TemplateError(`GraphQL query not found: ${selector}`, selector);
+  }
+
+  const text = source.content ? source.content.textContent : source.textContent;
+  return String(text || '').trim();
+}
+
+/**
+ * Resolves the query variables from the `variables` option or attribute.
+ * The attribute holds JSON; `{name}` placeholders are replaced with the
+ * element's attribute values, e.g. `variables='{"id": "{data-user-id}"}'`.
+ * @param {Element} element
+ * @param {Object} [options]
+ * @returns {Object|undefined}
+ */
+function readVariables(element, options) {
+  if (options && options.variables !== undefined) {
+    return typeof options.variables === 'function' ? options.variables(element) : options.variables;
+  }
+
+  const template = element.getAttribute('variables');
+  if (!template) {
+    return undefined;
+  }
+
+  try {
+    return JSON.parse(helpers.fillAttributePlaceholders(template, element));
+  } catch (error) {
+    throw new SyntaxError(`Invalid GraphQL variables: ${error.message}`);
+  }
+}
+
+/**
+ * Builds the GraphQL request payload for an element.
+ * @param {Element} element
+ * @param {Object} [options]
+ * @returns {{query: string, variables: (Object|undefined)}}
+ */
+export function buildGraphQLBody(element, options) {
+  return {
+    query: readQuery(element, options),
+    variables: readVariables(element, options),
+  };
+}
+
+/**
+ * Unwraps a GraphQL response.
+ * A non-empty `errors` array fails the request; otherwise the value at the
+ * `path` option or attribute (such as `user.orders`) inside `data` is returned.
+ * @param {Object} payload - Parsed response
+ * @param {Element} element
+ * @param {Object} [options]
+ * @param {string} [url] - Requested URL, for errors
+ * @returns {*}
+ */
+export function unwrapGraphQLResponse(payload, element, options, url) {
+  const data = payload && payload.data !== undefined ? payload.data : null;
+  if (payload && Array.isArray(payload.errors) && payload.errors.length) {
+    throw new GraphQLError(payload.errors, data, url);
+  }
+
+  const path = options && options.path !== undefined ? options.path : element.getAttribute('path');
+  return path ? templating.resolvePath(data, path) : data;
+}
@@ -0,0 +1,141 @@
+/**
+ * Head merging for fetched full HTML documents.
+ */
+
+import * as helpers from './helpers.js';
+
+const FULL_DOCUMENT_REGEX = /<(html|head)[\s>]/i;
+const STYLESHEET_TIMEOUT = 3000;
+
+/**
+ * Checks whether markup is a full HTML document rather than a fragment.
+ * @param {string} content - HTML content
+ * @returns {boolean}
+ */
+export function isFullDocument(content) {
+  return FULL_DOCUMENT_REGEX.test(content);
+}
+
+/**
+ * Resolves a URL found in the fetched document against its own base.
+ * @param {string} value - Raw URL
+ * @param {string} baseUrl - Base URL of the fetched document
+ * @returns {string}
+ */
+function resolveUrl(value, baseUrl) {
+  try {
+    return new URL(value, baseUrl).href;
+  } catch (_) {
+    return value;
+  }
+}
+
+/**
+ * Waits for a stylesheet link to load or fail.
+ * Gives up after a timeout so environments that never fire either event do not stall rendering.
+ * @param {HTMLLinkElement} link
+ * @returns {Promise<void>}
+ */
+function whenLoaded(link) {
+  return new Promise((resolve) => {
+    const timer = setTimeout(resolve, STYLESHEET_TIMEOUT);
+    const done = () => {
+      clearTimeout(timer);
+      resolve();
+    };
+
+    link.addEventListener('load', done);
+    link.addEventListener('error', () => {
+      console.warn(`fetch-html could not load stylesheet: ${link.href}`);
+      done();
+    });
+  });
+}
+
+/**
+ * Appends stylesheets and style blocks that the document does not have yet.
+ * @param {HTMLHeadElement} head - Fetched document head
+ * @param {string} baseUrl - Base URL of the fetched document
+ * @returns {Promise<void>} Resolves once new stylesheets have loaded
+ */
+function mergeStyles(head, baseUrl) {
+  const loadedHrefs = helpers.toArray(document.querySelectorAll('link[rel~="stylesheet"][href]'))
+    .map((link) => link.href);
+  const loadedStyles = helpers.toArray(document.querySelectorAll('style'))
+    .map((style) => style.textContent);
+  const pending = [];
+
+  helpers.toArray(head.querySelectorAll('link[rel~="stylesheet"][href], style')).forEach((node) => {
+    if (node.nodeName === 'STYLE') {
+      if (loadedStyles.indexOf(node.textContent) === -1) {
+        loadedStyles.push(node.textContent);
+        document.head.appendChild(document.importNode(node, true));
+      }
+      return;
+    }
+
+    const href = resolveUrl(node.getAttribute('href'), baseUrl);
+    if (loadedHrefs.indexOf(href) !== -1) {
+      return;
+    }
+
+    loadedHrefs.push(href);
+    const link = document.importNode(node, true);
+    link.setAttribute('href', href);
+    pending.push(whenLoaded(link));
+    document.head.appendChild(link);
+  });
+
+  return Promise.all(pending).then(() => undefined);
+}
+
+/**
+ * Copies selected meta tags, updating existing ones with the same name or property.
+ * @param {HTMLHeadElement} head - Fetched document head
+ * @param {string[]} names - Meta `name` or `property` values to copy
+ */
+function mergeMeta(head, names) {
+  helpers.toArray(head.querySelectorAll('meta')).forEach((meta) => {
+    const attr = meta.hasAttribute('name') ? 'name' : 'property';
+    const name = meta.getAttribute(attr);
+    if (!name || names.indexOf(name) === -1) {
+      return;
+    }
+
+    const existing = helpers.toArray(document.head.querySelectorAll(`meta[${attr}]`))
+      .filter((candidate) => candidate.getAttribute(attr) === name)[0];
+
+    if (existing) {
+      existing.setAttribute('content', meta.getAttribute('content') || '');
+    } else {
+      document.head.appendChild(document.importNode(meta, true));
+    }
+  });
+}
+
+/**
+ * Merges the head of a fetched document into the current document.
+ * @param {Document} sourceDoc - Parsed fetched document
+ * @param {Object} config - { title, styles, meta }
+ * @param {string} baseUrl - URL the document was fetched from
+ * @returns {Promise<void>} Resolves once new stylesheets have loaded
+ */
+export function mergeHead(sourceDoc, config, baseUrl) {
+  const head = sourceDoc && sourceDoc.head;
+  if (!head) {
+    return Promise.resolve();
+  }
+
+  const base = head.querySelector('base[href]');
+  const documentBase = base ? resolveUrl(base.getAttribute('href'), baseUrl) : baseUrl;
+
+  if (config.title && sourceDoc.title) {
+    document.title = sourceDoc.title;
+  }
+
+  if (config.meta && config.meta.length) {
+    mergeMeta(head, config.meta);
+  }
+
+  return config.styles ? mergeStyles(head, documentBase) : Promise.resolve();
+}
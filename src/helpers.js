@@ -166,3 +166,163 @@ export function queryClassSelector(scope, className, expectSingle) {
     return expectSingle ? null : [];
   }
 }
+
+/**
+ * Collects elements matching a selector from a set of root nodes.
+ * Unlike querySelectorAll, the roots themselves are included when they match.
+ * @param {Node|Node[]} roots - Root node or nodes to search
+ * @param {string} selector - CSS selector
+ * @returns {Element[]}
+ */
+export function collectElements(roots, selector) {
+  const list = Array.isArray(roots) ? roots : [roots];
+  const matches = [];
+
+  list.forEach((node) => {
+    if (!node || node.nodeType !== 1 && node.nodeType !== 9 && node.nodeType !== 11) {
+      return;
+    }
+
+    if (node.nodeType === 1 && typeof node.matches === 'function' && node.matches(selector)) {
+      matches.push(node);
+    }
+
+    if (typeof node.querySelectorAll === 'function') {
+      toArray(node.querySelectorAll(selector)).forEach((match) => matches.push(match));
+    }
+  });
+
+  return matches;
+}
+
+let viewportObserver = null;
+const viewportWatches = new Map();
+
+/**
+ * Watches an element entering and leaving the viewport.
+ * Lazy loading and polling share one IntersectionObserver, so an element is
+ * observed once however many features watch it.
+ * @param {Element} element - Element to watch
+ * @param {Function} callback - `(isIntersecting) => void`, called with the current visibility and on every change
+ * @returns {Function|null} Stops watching, or null when IntersectionObserver is unavailable
+ */
+export function observeViewport(element, callback) {
+  if (typeof IntersectionObserver !== 'function') {
+    return null;
+  }
+
+  if (!viewportObserver) {
+    viewportObserver = new IntersectionObserver((entries) => {
+      entries.forEach((entry) => {
+        const watch = viewportWatches.get(entry.target);
+        if (watch) {
+          watch.visible = entry.isIntersecting;
+          watch.callbacks.slice().forEach((fn) => fn(entry.isIntersecting));
+        }
+      });
+    });
+  }
+
+  let watch = viewportWatches.get(element);
+  if (!watch) {
+    watch = { callbacks: [], visible: null };
+    viewportWatches.set(element, watch);
+    viewportObserver.observe(element);
+  } else if (watch.visible !== null) {
+    // The observer only reports the initial state once, so replay it to later watchers
+    Promise.resolve().then(() => {
+      if (watch.callbacks.indexOf(callback) !== -1) {
+        callback(watch.visible);
+      }
+    });
+  }
+
+  watch.callbacks.push(callback);
+
+  return () => {
+    const index = watch.callbacks.indexOf(callback);
+    if (index !== -1) {
+      watch.callbacks.splice(index, 1);
+    }
+
+    if (!watch.callbacks.length && viewportWatches.get(element) === watch) {
+      viewportWatches.delete(element);
+      viewportObserver.unobserve(element);
+    }
+  };
+}
+
+/**
+ * Parses a duration such as "500ms", "60s", "5m", "1h" or "7d" into milliseconds.
+ * Bare numbers are treated as seconds.
+ * @param {string|number} value - Duration
+ * @returns {number|null} Milliseconds, or null when the value is not a duration
+ */
+export function parseDuration(value) {
+  if (typeof value === 'number') {
+    return isFinite(value) && value >= 0 ? value * 1000 : null;
+  }
+
+  const match = String(value == null ? '' : value).trim().toLowerCase().match(/^(\d+(?:\.\d+)?)\s*(ms|s|m|h|d)?$/);
+  if (!match) {
+    return null;
+  }
+
+  const amount = parseFloat(match[1]);
+  const unit = match[2] || 's';
+  const factors = { ms: 1, s: 1000, m: 60000, h: 3600000, d: 86400000 };
+  return Math.round(amount * factors[unit]);
+}
+
+/**
+ * Replaces `{name}` placeholders with an element's attribute values, escaped
+ * for use in JSON strings. Missing attributes become empty strings.
+ * @param {string} template - Text such as `{"id": "{data-id}"}`
+ * @param {Element} element - Element providing the attribute values
+ * @returns {string}
+ */
+export function fillAttributePlaceholders(template, element) {
+  return String(template).replace(/\{([\w:.-]+)\}/g, (match, name) => {
+    const value = element.getAttribute(name);
+    return value === null ? '' : JSON.stringify(value).slice(1, -1);
+  });
+}
+
+/**
+ * Creates a Response, falling back to a minimal stand-in where no Response
+ * constructor exists (such as jest's jsdom environment). The stand-in supports
+ * `status`, `ok`, `headers.get()`, `text()`, `json()` and `clone()`.
+ * @param {string|null} body
+ * @param {Object} [init] - `{status, statusText, headers}` with plain-object headers
+ * @param {Function} [ResponseImpl] - Response constructor to prefer
+ * @returns {Response|Object}
+ */
+export function createResponse(body, init = {}, ResponseImpl) {
+  const Impl = ResponseImpl || (typeof Response === 'function' ? Response : null);
+  if (Impl) {
+    return new Impl(body, init);
+  }
+
+  const text = body === null || body === undefined ? '' : String(body);
+  const headers = {};
+  Object.keys(init.headers || {}).forEach((name) => {
+    headers[name.toLowerCase()] = String(init.headers[name]);
+  });
+  const status = init.status || 200;
+
+  return {
+    status,
+    statusText: init.statusText || '',
+    ok: status >= 200 && status < 300,
+    url: '',
+    body: null,
+    headers: {
+      get: (name) => (Object.prototype.hasOwnProperty.call(headers, String(name).toLowerCase()) ? headers[String(name).toLowerCase()] : null),
+      has: (name) => Object.prototype.hasOwnProperty.call(headers, String(name).toLowerCase()),
+      forEach: (fn) => Object.keys(headers).forEach((name) => fn(headers[name], name)),
+    },
+    text: () => Promise.resolve(text),
+    json: () => Promise.resolve(text).then(JSON.parse),
+    clone: () => createResponse(body, init, ResponseImpl),
+  };
+}
@@ -5,8 +5,13 @@
 
 import { element, elements, attachScopedSelectors } from './selectors.js';
 import { fetchHtml, initFetchHtmlAutoload } from './fetch-html.js';
-import { fetchList, initFetchListAutoload, formatters } from './fetch-list.js';
+import { fetchList, initFetchListAutoload, formatters, parsers } from './fetch-list.js';
 import { fetchJson, initFetchJsonAutoload } from './fetch-json.js';
+import { sanitize, sanitizeDefaults } from './sanitize.js';
+import { cache } from './request.js';
+import { HttpError, NetworkError, TimeoutError, ParseError, GraphQLError, TemplateError } from './errors.js';
+import { interceptors } from './interceptors.js';
+import { mock } from './mock.js';
 
 // Attach scoped selector methods to DOM prototypes
 if (typeof window !== 'undefined') {
@@ -32,6 +37,18 @@ if (typeof window !== 'undefined') {
   window.fetchtml.fetchList = fetchList;
   window.fetchtml.fetchJson = fetchJson;
   window.fetchtml.formatters = formatters;
+  window.fetchtml.parsers = parsers;
+  window.fetchtml.sanitize = sanitize;
+  window.fetchtml.sanitizeDefaults = sanitizeDefaults;
+  window.fetchtml.cache = cache;
+  window.fetchtml.interceptors = interceptors;
+  window.fetchtml.mock = mock;
+  window.fetchtml.HttpError = HttpError;
+  window.fetchtml.NetworkError = NetworkError;
+  window.fetchtml.TimeoutError = TimeoutError;
+  window.fetchtml.ParseError = ParseError;
+  window.fetchtml.GraphQLError = GraphQLError;
+  window.fetchtml.TemplateError = TemplateError;
   window.fetchtml.element = element;
   window.fetchtml.elements = elements;
 
@@ -42,4 +59,4 @@ if (typeof window !== 'undefined') {
 }
 
 // Export for module systems
-export { element, elements, fetchHtml, fetchList, fetchJson, formatters };
+export { element, elements, fetchHtml, fetchList, fetchJson, formatters, parsers, sanitize, sanitizeDefaults, cache, interceptors, mock, HttpError, NetworkError, TimeoutError, ParseError, GraphQLError, TemplateError };
@@ -0,0 +1,94 @@
+/**
+ * Global request/response interceptors shared by every fetch tag.
+ *
+ * Interceptors run in the order they were added and may be async. Request
+ * interceptors can rewrite the URL and RequestInit; response interceptors can
+ * replace the response. Throwing (or rejecting) fails the request like any
+ * other fetch error.
+ */
+
+/**
+ * Creates an ordered interceptor list.
+ * @returns {{use: Function, eject: Function, clear: Function, list: Function}}
+ */
+function createInterceptorList() {
+  let handlers = [];
+  let nextId = 0;
+
+  return {
+    /**
+     * Adds an interceptor.
+     * @param {Function} fn
+     * @returns {number} Id for eject()
+     */
+    use(fn) {
+      if (typeof fn !== 'function') {
+        throw new TypeError('Interceptors must be functions.');
+      }
+
+      nextId += 1;
+      handlers.push({ id: nextId, fn });
+      return nextId;
+    },
+
+    /**
+     * Removes an interceptor by the id returned from use().
+     * @param {number} id
+     * @returns {boolean} Whether an interceptor was removed
+     */
+    eject(id) {
+      const count = handlers.length;
+      handlers = handlers.filter((handler) => handler.id !== id);
+      return handlers.length !== count;
+    },
+
+    /**
+     * Removes every interceptor.
+     */
+    clear() {
+      handlers = [];
+    },
+
+    /**
+     * Lists the interceptor functions in run order.
+     * @returns {Function[]}
+     */
+    list() {
+      return handlers.map((handler) => handler.fn);
+    },
+  };
+}
+
+export const interceptors = {
+  request: createInterceptorList(),
+  response: createInterceptorList(),
+};
+
+/**
+ * Runs the request interceptors.
+ * Each receives `{ url, init, element }` and may return a replacement (fields
+ * it omits are kept) or nothing to keep the request as is.
+ * @param {Object} request - `{ url, init, element }`
+ * @returns {Promise<Object>} Final request
+ */
+export function runRequestInterceptors(request) {
+  return interceptors.request.list().reduce((pending, fn) => pending.then((current) => (
+    Promise.resolve(fn(current)).then((result) => (
+      result && typeof result === 'object' ? { ...current, ...result } : current
+    ))
+  )), Promise.resolve(request));
+}
+
+/**
+ * Runs the response interceptors.
+ * Each receives `(response, request)` and may return a replacement response
+ * or nothing to keep the current one.
+ * @param {Response} response
+ * @param {Object} request - Final request from runRequestInterceptors()
+ * @returns {Promise<Response>}
+ */
+export function runResponseInterceptors(response, request) {
+  return interceptors.response.list().reduce((pending, fn) => pending.then((current) => (
+    Promise.resolve(fn(current, request)).then((result) => (result === undefined || result === null ? current : result))
+  )), Promise.resolve(response));
+}
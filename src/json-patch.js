@@ -0,0 +1,215 @@
+/**
+ * JSON Patch (RFC 6902) support for socket-bound data.
+ */
+
+/**
+ * Checks whether a value looks like a JSON Patch document.
+ * @param {*} value
+ * @returns {boolean}
+ */
+export function isJsonPatch(value) {
+  return Array.isArray(value)
+    && value.length > 0
+    && value.every((operation) => (
+      operation !== null
+      && typeof operation === 'object'
+      && typeof operation.op === 'string'
+      && typeof operation.path === 'string'
+    ));
+}
+
+/**
+ * Splits a JSON Pointer (RFC 6901) into unescaped tokens.
+ * @param {string} pointer
+ * @returns {string[]}
+ */
+function parsePointer(pointer) {
+  if (pointer === '') {
+    return [];
+  }
+
+  if (pointer.charAt(0) !== '/') {
+    throw new Error(`Invalid JSON Pointer: ${pointer}`);
+  }
+
+  return pointer.slice(1).split('/').map((token) => token.replace(/~1/g, '/').replace(/~0/g, '~'));
+}
+
+/**
+ * Deep-copies JSON data.
+ * @param {*} value
+ * @returns {*}
+ */
+function clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Compares two JSON values structurally.
+ * @param {*} a
+ * @param {*} b
+ * @returns {boolean}
+ */
+function isEqual(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Resolves an array index token.
+ * @param {Array} array
+ * @param {string} token
+ * @param {boolean} allowEnd - Whether `-` or length (append position) is allowed
+ * @returns {number}
+ */
+function toIndex(array, token, allowEnd) {
+  if (token === '-' && allowEnd) {
+    return array.length;
+  }
+
+  if (!/^(0|[1-9]\d*)$/.test(token)) {
+    throw new Error(`Invalid array index: ${token}`);
+  }
+
+  const index = parseInt(token, 10);
+  if (index > array.length || (!allowEnd && index === array.length)) {
+    throw new Error(`Array index out of bounds: ${token}`);
+  }
+
+  return index;
+}
+
+/**
+ * Walks to the parent container of a pointer target.
+ * @param {*} root
+ * @param {string[]} tokens
+ * @returns {*} Parent container
+ */
+function getParent(root, tokens) {
+  return tokens.slice(0, -1).reduce((node, token) => {
+    if (Array.isArray(node)) {
+      return node[toIndex(node, token, false)];
+    }
+
+    if (node !== null && typeof node === 'object' && Object.prototype.hasOwnProperty.call(node, token)) {
+      return node[token];
+    }
+
+    throw new Error(`Path not found: /${tokens.join('/')}`);
+  }, root);
+}
+
+/**
+ * Reads the value at a pointer.
+ * @param {*} root
+ * @param {string} pointer
+ * @returns {*}
+ */
+function getValue(root, pointer) {
+  const tokens = parsePointer(pointer);
+  if (!tokens.length) {
+    return root;
+  }
+
+  const parent = getParent(root, tokens);
+  const last = tokens[tokens.length - 1];
+
+  if (Array.isArray(parent)) {
+    return parent[toIndex(parent, last, false)];
+  }
+
+  if (parent === null || typeof parent !== 'object' || !Object.prototype.hasOwnProperty.call(parent, last)) {
+    throw new Error(`Path not found: ${pointer}`);
+  }
+
+  return parent[last];
+}
+
+/**
+ * Adds a value at a pointer.
+ * @param {*} root
+ * @param {string} pointer
+ * @param {*} value
+ * @returns {*} New root
+ */
+function addValue(root, pointer, value) {
+  const tokens = parsePointer(pointer);
+  if (!tokens.length) {
+    return value;
+  }
+
+  const parent = getParent(root, tokens);
+  const last = tokens[tokens.length - 1];
+
+  if (Array.isArray(parent)) {
+    parent.splice(toIndex(parent, last, true), 0, value);
+  } else if (parent !== null && typeof parent === 'object') {
+    parent[last] = value;
+  } else {
+    throw new Error(`Cannot add to a non-container at ${pointer}`);
+  }
+
+  return root;
+}
+
+/**
+ * Removes the value at a pointer.
+ * @param {*} root
+ * @param {string} pointer
+ * @returns {*} New root
+ */
+function removeValue(root, pointer) {
+  const tokens = parsePointer(pointer);
+  if (!tokens.length) {
+    return undefined;
+  }
+
+  getValue(root, pointer);
+  const parent = getParent(root, tokens);
+  const last = tokens[tokens.length - 1];
+
+  if (Array.isArray(parent)) {
+    parent.splice(toIndex(parent, last, false), 1);
+  } else {
+    delete parent[last];
+  }
+
+  return root;
+}
+
+/**
+ * Applies JSON Patch operations to a copy of a document.
+ * The patch is atomic: if any operation fails (including `test`), an error
+ * is thrown and the original document is left untouched.
+ * @param {*} document - Current JSON data
+ * @param {Object[]} operations - RFC 6902 operations
+ * @returns {*} Patched copy
+ */
+export function applyPatch(document, operations) {
+  return operations.reduce((root, operation) => {
+    switch (operation.op) {
+      case 'add':
+        return addValue(root, operation.path, clone(operation.value));
+      case 'remove':
+        return removeValue(root, operation.path);
+      case 'replace':
+        getValue(root, operation.path);
+        return addValue(removeValue(root, operation.path), operation.path, clone(operation.value));
+      case 'move': {
+        if (operation.path.indexOf(`${operation.from}/`) === 0) {
+          throw new Error(`Cannot move ${operation.from} into itself.`);
+        }
+        const value = getValue(root, operation.from);
+        return addValue(removeValue(root, operation.from), operation.path, value);
+      }
+      case 'copy':
+        return addValue(root, operation.path, clone(getValue(root, operation.from)));
+      case 'test':
+        if (!isEqual(getValue(root, operation.path), operation.value)) {
+          throw new Error(`JSON Patch test failed at ${operation.path}`);
+        }
+        return root;
+      default:
+        throw new Error(`Unknown JSON Patch operation: ${operation.op}`);
+    }
+  }, clone(document));
+}
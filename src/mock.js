@@ -0,0 +1,424 @@
+/**
+ * Mock fetch adapter for tests, demos and stories.
+ *
+ * Routes match a method and a URL pattern and answer with JSON, HTML, text or
+ * a Response. Every call is recorded. `install()` swaps `window.fetch` so that
+ * every fetch tag uses the mock; `options.fetch = mock.fetch` scopes it to one
+ * element.
+ */
+
+import * as helpers from './helpers.js';
+
+const NULL_BODY_STATUSES = [101, 204, 205, 304];
+
+/**
+ * Resolves a URL against the current location.
+ * @param {string} url
+ * @returns {URL}
+ */
+function toUrl(url) {
+  const base = typeof location !== 'undefined' && location && location.href ? location.href : 'http://localhost/';
+  return new URL(String(url), base);
+}
+
+/**
+ * Compiles a route pattern into a matcher.
+ * String patterns match the path (or the full URL when they include an
+ * origin); `:name` captures a segment and `*` matches anything. RegExp
+ * patterns match the full URL and capture named groups.
+ * @param {string|RegExp} pattern
+ * @returns {Function} `(url: URL) => params|null`
+ */
+function compilePattern(pattern) {
+  if (pattern instanceof RegExp) {
+    return (url) => {
+      const match = url.href.match(pattern);
+      return match ? { ...(match.groups || {}) } : null;
+    };
+  }
+
+  const source = String(pattern).split('?')[0];
+  const absolute = /^[a-z][a-z\d+.-]*:\/\//i.test(source);
+  const names = [];
+  const expression = source.split(/(:[A-Za-z_]\w*|\*)/).map((part) => {
+    if (part === '*') {
+      return '.*';
+    }
+    if (part.charAt(0) === ':' && part.length > 1) {
+      names.push(part.slice(1));
+      return '([^/?#]+)';
+    }
+    return part.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+  }).join('');
+  const regex = new RegExp(`^${expression}/?$`);
+
+  return (url) => {
+    const match = (absolute ? url.origin + url.pathname : url.pathname).match(regex);
+    if (!match) {
+      return null;
+    }
+
+    const params = {};
+    names.forEach((name, index) => {
+      params[name] = decodeURIComponent(match[index + 1]);
+    });
+    return params;
+  };
+}
+
+/**
+ * Copies request headers into a plain object with lowercase names.
+ * @param {Object|Headers|Array|undefined} headers
+ * @returns {Object}
+ */
+function readHeaders(headers) {
+  const result = {};
+  if (!headers) {
+    return result;
+  }
+
+  if (typeof headers.forEach === 'function' && !Array.isArray(headers)) {
+    headers.forEach((value, name) => {
+      result[String(name).toLowerCase()] = String(value);
+    });
+    return result;
+  }
+
+  const pairs = Array.isArray(headers) ? headers : Object.keys(headers).map((name) => [name, headers[name]]);
+  pairs.forEach(([name, value]) => {
+    result[String(name).toLowerCase()] = String(value);
+  });
+  return result;
+}
+
+/**
+ * Builds the request object passed to route handlers.
+ * @param {string|Request} input
+ * @param {Object} [init]
+ * @returns {Object}
+ */
+function describeRequest(input, init = {}) {
+  // A Request passed as input supplies whatever init leaves out
+  const source = input && typeof input === 'object' ? input : {};
+  const url = toUrl(source.url || input);
+  const headers = { ...readHeaders(source.headers), ...readHeaders(init.headers) };
+  const body = init.body === undefined ? null : init.body;
+  let json;
+
+  if (typeof body === 'string' && /json/i.test(headers['content-type'] || '')) {
+    try {
+      json = JSON.parse(body);
+    } catch (_) {
+      json = undefined;
+    }
+  }
+
+  const query = {};
+  url.searchParams.forEach((value, name) => {
+    query[name] = value;
+  });
+
+  return {
+    method: String(init.method || source.method || 'GET').toUpperCase(),
+    url: url.href,
+    path: url.pathname,
+    params: {},
+    query,
+    headers,
+    body,
+    json,
+    init,
+  };
+}
+
+/**
+ * Checks whether a reply is a ready-made response rather than a reply spec.
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isResponse(value) {
+  return Boolean(value) && typeof value === 'object'
+    && typeof value.text === 'function' && typeof value.status === 'number';
+}
+
+/**
+ * Turns a route reply into a Response.
+ * Replies are a Response, an HTML string, or
+ * `{ status, statusText, headers, json | html | text | body, delay }`.
+ * @param {*} reply
+ * @param {Function} [ResponseImpl] - Response constructor of the mocked window
+ * @returns {Response}
+ */
+function createResponse(reply, ResponseImpl) {
+  if (isResponse(reply)) {
+    return reply;
+  }
+
+  const spec = typeof reply === 'string' ? { html: reply } : (reply || {});
+  const headers = { ...(spec.headers || {}) };
+  const hasType = Object.keys(headers).some((name) => name.toLowerCase() === 'content-type');
+  let body = spec.body === undefined ? null : spec.body;
+  let type = '';
+
+  if (spec.json !== undefined) {
+    body = JSON.stringify(spec.json);
+    type = 'application/json';
+  } else if (spec.html !== undefined) {
+    body = String(spec.html);
+    type = 'text/html; charset=utf-8';
+  } else if (spec.text !== undefined) {
+    body = String(spec.text);
+    type = 'text/plain; charset=utf-8';
+  }
+
+  if (type && !hasType) {
+    headers['Content-Type'] = type;
+  }
+
+  const status = spec.status || 200;
+  return helpers.createResponse(NULL_BODY_STATUSES.indexOf(status) === -1 ? body : null, {
+    status,
+    statusText: spec.statusText || '',
+    headers,
+  }, ResponseImpl);
+}
+
+/**
+ * Waits for a delay, rejecting with an AbortError when the signal aborts.
+ * @param {number} ms
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<void>}
+ */
+function wait(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const abortError = () => {
+      const error = new Error('The operation was aborted.');
+      error.name = 'AbortError';
+      return error;
+    };
+
+    if (signal && signal.aborted) {
+      reject(abortError());
+      return;
+    }
+
+    const timer = setTimeout(resolve, ms);
+    if (signal && typeof signal.addEventListener === 'function') {
+      signal.addEventListener('abort', () => {
+        clearTimeout(timer);
+        reject(abortError());
+      }, { once: true });
+    }
+  });
+}
+
+/**
+ * Creates a mock fetch adapter.
+ * @param {Object} [settings]
+ * @param {string|number} [settings.delay] - Default delay for every reply, e.g. `'200ms'`
+ * @param {boolean} [settings.passthrough] - Send unmatched requests to the real fetch instead of answering 404
+ * @returns {Object}
+ */
+export function createMock(settings = {}) {
+  let routes = [];
+  let installed = null;
+  const config = { delay: 0, passthrough: false, ...settings };
+  const calls = [];
+
+  // Prefer the Response of the window the mock is installed in
+  const getResponseImpl = () => {
+    if (installed && typeof installed.target.Response === 'function') {
+      return installed.target.Response;
+    }
+    if (typeof Response === 'function') {
+      return Response;
+    }
+    return typeof window !== 'undefined' && typeof window.Response === 'function' ? window.Response : undefined;
+  };
+
+  const findRoute = (request, url) => {
+    // Later routes win, so tests can override earlier fixtures
+    for (let index = routes.length - 1; index >= 0; index -= 1) {
+      const route = routes[index];
+      if (route.method !== '*' && route.method !== request.method) {
+        continue;
+      }
+
+      const params = route.match(url);
+      if (params) {
+        return { route, params };
+      }
+    }
+
+    return null;
+  };
+
+  const mock = {
+    calls,
+
+    /**
+     * Registers a route.
+     * @param {string} method - HTTP method, or `*` for any
+     * @param {string|RegExp} pattern - URL pattern such as `/api/users/:id`
+     * @param {Function|Object|string|Response} handler - Reply, or `(request) => reply` (may be async)
+     * @param {Object} [options] - `{ times }` limits how often the route answers
+     * @returns {Object} The mock, for chaining
+     */
+    route(method, pattern, handler, options = {}) {
+      if (handler === undefined) {
+        throw new TypeError('Mock routes need a handler or a reply.');
+      }
+
+      routes.push({
+        method: String(method || '*').toUpperCase(),
+        pattern,
+        match: compilePattern(pattern),
+        handler,
+        times: options.times > 0 ? options.times : Infinity,
+      });
+      return mock;
+    },
+
+    get(pattern, handler, options) {
+      return mock.route('GET', pattern, handler, options);
+    },
+
+    post(pattern, handler, options) {
+      return mock.route('POST', pattern, handler, options);
+    },
+
+    put(pattern, handler, options) {
+      return mock.route('PUT', pattern, handler, options);
+    },
+
+    patch(pattern, handler, options) {
+      return mock.route('PATCH', pattern, handler, options);
+    },
+
+    delete(pattern, handler, options) {
+      return mock.route('DELETE', pattern, handler, options);
+    },
+
+    any(pattern, handler, options) {
+      return mock.route('*', pattern, handler, options);
+    },
+
+    /**
+     * Fetch implementation answering from the registered routes.
+     * @param {string|Request} input
+     * @param {Object} [init]
+     * @returns {Promise<Response>}
+     */
+    fetch(input, init = {}) {
+      const request = describeRequest(input, init);
+      const url = toUrl(request.url);
+      const found = findRoute(request, url);
+      const call = { ...request, matched: Boolean(found) };
+
+      if (found) {
+        request.params = found.params;
+        call.params = found.params;
+        found.route.times -= 1;
+        if (found.route.times <= 0) {
+          routes = routes.filter((route) => route !== found.route);
+        }
+      }
+      calls.push(call);
+
+      if (!found) {
+        const original = installed ? installed.original : typeof window !== 'undefined' && window.fetch;
+        if (config.passthrough && typeof original === 'function') {
+          return original.call(installed ? installed.target : window, input, init);
+        }
+
+        console.warn(`fetchtml mock: no route for ${request.method} ${request.url}`);
+        return Promise.resolve(createResponse({ status: 404, statusText: 'Not Found' }, getResponseImpl()));
+      }
+
+      const { handler } = found.route;
+      return Promise.resolve()
+        .then(() => {
+          if (typeof handler === 'function') {
+            return handler(request);
+          }
+          // A fixed Response can only be read once
+          return isResponse(handler) && typeof handler.clone === 'function' ? handler.clone() : handler;
+        })
+        .then((reply) => {
+          const spec = reply && typeof reply === 'object' && !isResponse(reply) ? reply : {};
+          const delay = helpers.parseDuration(spec.delay !== undefined ? spec.delay : config.delay) || 0;
+          return wait(delay, init.signal).then(() => createResponse(reply, getResponseImpl()));
+        });
+    },
+
+    /**
+     * Filters recorded calls.
+     * @param {string} [method] - HTTP method, or `*` for any
+     * @param {string|RegExp} [pattern] - URL pattern
+     * @returns {Object[]}
+     */
+    callsTo(method = '*', pattern) {
+      const upper = String(method).toUpperCase();
+      const match = pattern === undefined ? null : compilePattern(pattern);
+      return calls.filter((call) => (upper === '*' || call.method === upper) && (!match || match(toUrl(call.url))));
+    },
+
+    /**
+     * Gets the most recent call.
+     * @returns {Object|null}
+     */
+    lastCall() {
+      return calls.length ? calls[calls.length - 1] : null;
+    },
+
+    /**
+     * Sets the default delay or passthrough mode.
+     * @param {Object} newSettings
+     * @returns {Object} The mock, for chaining
+     */
+    configure(newSettings) {
+      Object.assign(config, newSettings);
+      return mock;
+    },
+
+    /**
+     * Removes all routes and recorded calls.
+     */
+    reset() {
+      routes = [];
+      calls.length = 0;
+    },
+
+    /**
+     * Replaces the global fetch with the mock so every fetch tag uses it.
+     * @param {Object} [target] - Global object, `window` by default
+     * @returns {Object} The mock, for chaining
+     */
+    install(target) {
+      const scope = target || (typeof window !== 'undefined' ? window : globalThis);
+      if (installed && installed.target === scope) {
+        return mock;
+      }
+
+      mock.uninstall();
+      installed = { target: scope, original: scope.fetch };
+      scope.fetch = mock.fetch;
+      return mock;
+    },
+
+    /**
+     * Restores the fetch replaced by install().
+     */
+    uninstall() {
+      if (installed) {
+        installed.target.fetch = installed.original;
+        installed = null;
+      }
+    },
+  };
+
+  return mock;
+}
+
+export const mock = createMock();
+mock.create = createMock;
@@ -0,0 +1,279 @@
+/**
+ * DOM morphing for reloads that keep focus, selection, and input state.
+ *
+ * Nodes are matched by `id` or `key` attribute first, then by position among
+ * unkeyed siblings of the same type. Matched nodes are patched in place;
+ * unmatched ones are inserted or removed.
+ */
+
+import * as helpers from './helpers.js';
+
+const FETCH_TAGS = ['FETCH-HTML', 'FETCH-JSON', 'FETCH-LIST'];
+// Attributes FetchTML elements set on themselves at runtime
+const RUNTIME_ATTRIBUTES = ['data-state', 'data-stale', 'data-offline', 'data-loaded-count'];
+
+/**
+ * Gets the identity key of a node.
+ * @param {Node} node
+ * @returns {string|null}
+ */
+function getNodeKey(node) {
+  if (!node || node.nodeType !== 1) {
+    return null;
+  }
+
+  if (node.id) {
+    return `#${node.id}`;
+  }
+
+  const key = node.getAttribute('key');
+  return key ? `${node.nodeName}[key=${key}]` : null;
+}
+
+/**
+ * Checks whether two unkeyed nodes can be patched into each other.
+ * @param {Node} live
+ * @param {Node} next
+ * @returns {boolean}
+ */
+function isCompatible(live, next) {
+  return live.nodeType === next.nodeType
+    && live.nodeName === next.nodeName
+    && getNodeKey(live) === null;
+}
+
+/**
+ * Copies FetchTML expando data (descriptors, etc.) onto the live node.
+ * @param {Node} live
+ * @param {Node} next
+ */
+function copyExpandos(live, next) {
+  Object.keys(next).forEach((prop) => {
+    if (prop.indexOf('_fetchtml') === 0) {
+      live[prop] = next[prop];
+    }
+  });
+}
+
+/**
+ * Synchronizes attributes from the next element onto the live element.
+ * @param {Element} live
+ * @param {Element} next
+ */
+function morphAttributes(live, next) {
+  helpers.toArray(live.attributes).forEach((attr) => {
+    if (!next.hasAttribute(attr.name)) {
+      live.removeAttribute(attr.name);
+    }
+  });
+
+  helpers.toArray(next.attributes).forEach((attr) => {
+    if (live.getAttribute(attr.name) !== attr.value) {
+      live.setAttribute(attr.name, attr.value);
+    }
+  });
+}
+
+/**
+ * Checks whether a node is a FetchTML element that has already been processed.
+ * Its children and runtime attributes belong to it, not to the markup being morphed.
+ * @param {Node} node
+ * @returns {boolean}
+ */
+function isLiveFetchElement(node) {
+  return node.nodeType === 1
+    && FETCH_TAGS.indexOf(node.nodeName) !== -1
+    && node.hasAttribute('data-state');
+}
+
+/**
+ * Synchronizes authored attributes onto a live FetchTML element, keeping the
+ * attributes it manages itself.
+ * @param {Element} live
+ * @param {Element} next
+ */
+function morphAuthoredAttributes(live, next) {
+  helpers.toArray(live.attributes).forEach((attr) => {
+    if (!next.hasAttribute(attr.name) && RUNTIME_ATTRIBUTES.indexOf(attr.name) === -1) {
+      live.removeAttribute(attr.name);
+    }
+  });
+
+  helpers.toArray(next.attributes).forEach((attr) => {
+    if (RUNTIME_ATTRIBUTES.indexOf(attr.name) === -1 && live.getAttribute(attr.name) !== attr.value) {
+      live.setAttribute(attr.name, attr.value);
+    }
+  });
+}
+
+/**
+ * Patches a live node so it matches the next node.
+ * Live FetchTML elements are opaque: only their authored attributes are synced.
+ * @param {Node} live
+ * @param {Node} next
+ */
+function morphNode(live, next) {
+  if (live.nodeType !== 1) {
+    if (live.nodeValue !== next.nodeValue) {
+      live.nodeValue = next.nodeValue;
+    }
+    return;
+  }
+
+  if (isLiveFetchElement(live)) {
+    morphAuthoredAttributes(live, next);
+    return;
+  }
+
+  morphAttributes(live, next);
+  copyExpandos(live, next);
+
+  if (live.nodeName === 'TEMPLATE') {
+    live.innerHTML = next.innerHTML;
+    return;
+  }
+
+  morphChildren(live, next);
+}
+
+/**
+ * Morphs the children of a live parent to match the children of a new parent.
+ * Nodes from `next` that have no live counterpart are moved into `live`.
+ * @param {Element|DocumentFragment} live - Live parent
+ * @param {Element|DocumentFragment} next - Parent holding the desired children
+ */
+export function morphChildren(live, next) {
+  const keyed = new Map();
+  helpers.toArray(live.childNodes).forEach((node) => {
+    const key = getNodeKey(node);
+    if (key && !keyed.has(key)) {
+      keyed.set(key, node);
+    }
+  });
+
+  const nextKeys = new Set();
+  helpers.toArray(next.childNodes).forEach((node) => {
+    const key = getNodeKey(node);
+    if (key) {
+      nextKeys.add(key);
+    }
+  });
+
+  const used = new Set();
+  let cursor = live.firstChild;
+
+  helpers.toArray(next.childNodes).forEach((nextChild) => {
+    const key = getNodeKey(nextChild);
+    let match = null;
+
+    if (key) {
+      const candidate = keyed.get(key);
+      if (candidate && candidate.nodeName === nextChild.nodeName) {
+        match = candidate;
+        keyed.delete(key);
+      }
+    } else {
+      for (let candidate = cursor; candidate; candidate = candidate.nextSibling) {
+        if (!used.has(candidate) && isCompatible(candidate, nextChild)) {
+          match = candidate;
+          break;
+        }
+      }
+    }
+
+    if (!match) {
+      live.insertBefore(nextChild, cursor);
+      used.add(nextChild);
+      return;
+    }
+
+    used.add(match);
+
+    // Drop keyed nodes that have no counterpart instead of moving the match past them
+    while (cursor && cursor !== match && !used.has(cursor)) {
+      const cursorKey = getNodeKey(cursor);
+      if (!cursorKey || nextKeys.has(cursorKey)) {
+        break;
+      }
+
+      const stale = cursor;
+      cursor = cursor.nextSibling;
+      live.removeChild(stale);
+    }
+
+    if (match === cursor) {
+      cursor = cursor.nextSibling;
+    } else {
+      live.insertBefore(match, cursor);
+    }
+
+    morphNode(match, nextChild);
+  });
+
+  helpers.toArray(live.childNodes).forEach((node) => {
+    if (!used.has(node)) {
+      live.removeChild(node);
+    }
+  });
+}
+
+/**
+ * Captures the focused element and its text selection.
+ * @returns {Object|null}
+ */
+function captureFocus() {
+  const active = document.activeElement;
+  if (!active || active === document.body) {
+    return null;
+  }
+
+  const state = { element: active, start: null, end: null };
+  try {
+    state.start = active.selectionStart;
+    state.end = active.selectionEnd;
+  } catch (_) {
+    // Element does not support text selection.
+  }
+
+  return state;
+}
+
+/**
+ * Restores focus and selection when a morph had to move the focused element.
+ * @param {Object|null} state
+ */
+function restoreFocus(state) {
+  if (!state || !state.element.isConnected || document.activeElement === state.element) {
+    return;
+  }
+
+  state.element.focus();
+  if (typeof state.start === 'number' && typeof state.element.setSelectionRange === 'function') {
+    try {
+      state.element.setSelectionRange(state.start, state.end);
+    } catch (_) {
+      // Ignore inputs that reject selection ranges.
+    }
+  }
+}
+
+/**
+ * Morphs a target's content to match new content.
+ * @param {Element} target - Live element whose children are patched
+ * @param {Node} content - Node or fragment with the desired children
+ * @returns {Node[]} The target's children after morphing
+ */
+export function morph(target, content) {
+  let next = content;
+  if (!next || next.nodeType !== 11) {
+    next = document.createDocumentFragment();
+    if (content) {
+      next.appendChild(content);
+    }
+  }
+
+  const focus = captureFocus();
+  morphChildren(target, next);
+  restoreFocus(focus);
+  return helpers.toArray(target.childNodes);
+}
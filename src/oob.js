@@ -0,0 +1,103 @@
+/**
+ * Out-of-band updates: top-level elements in a response that update other
+ * regions of the page instead of the requesting element.
+ */
+
+import * as helpers from './helpers.js';
+import * as swap from './swap.js';
+
+export const OOB_ATTR = 'fetch-oob';
+
+/**
+ * Parses a fetch-oob attribute value.
+ * Formats: "true", "<selector>", "<swap>", "<swap>:<selector>".
+ * @param {string} value - Attribute value
+ * @returns {{mode: string, selector: string|null}}
+ */
+function parseOobSpec(value) {
+  const raw = (value || '').trim();
+  if (!raw || raw === 'true') {
+    return { mode: 'outerHTML', selector: null };
+  }
+
+  const colonIndex = raw.indexOf(':');
+  const head = colonIndex === -1 ? raw : raw.slice(0, colonIndex);
+  const mode = swap.normalizeSwapMode(head);
+
+  if (mode) {
+    const selector = colonIndex === -1 ? '' : raw.slice(colonIndex + 1).trim();
+    return { mode, selector: selector || null };
+  }
+
+  return { mode: 'outerHTML', selector: raw };
+}
+
+/**
+ * Removes out-of-band elements from the top level of a fragment.
+ * @param {DocumentFragment} fragment - Response fragment
+ * @returns {Element[]} Extracted elements
+ */
+export function extractOobElements(fragment) {
+  if (!fragment || fragment.nodeType !== 11) {
+    return [];
+  }
+
+  return helpers.toArray(fragment.children).filter((node) => {
+    if (!node.hasAttribute(OOB_ATTR)) {
+      return false;
+    }
+
+    fragment.removeChild(node);
+    return true;
+  });
+}
+
+/**
+ * Swaps out-of-band elements into their targets.
+ * Elements without a selector target the document element with the same id.
+ * `outerHTML` swaps in the element itself; other modes insert its children.
+ * A <template> wrapper always contributes its content.
+ * @param {Element[]} elements - Extracted out-of-band elements
+ * @returns {Node[]} Inserted nodes
+ */
+export function applyOobElements(elements) {
+  const inserted = [];
+
+  elements.forEach((node) => {
+    const spec = parseOobSpec(node.getAttribute(OOB_ATTR));
+    node.removeAttribute(OOB_ATTR);
+
+    let target = null;
+    if (spec.selector) {
+      try {
+        target = document.querySelector(spec.selector);
+      } catch (_) {
+        target = null;
+      }
+    } else if (node.id) {
+      target = helpers.safeQuery(document, '#', node.id);
+    }
+
+    if (!target) {
+      console.warn(`fetch-oob target not found for ${spec.selector || (node.id ? `#${node.id}` : 'element without id')}.`);
+      return;
+    }
+
+    let content = node;
+    if (node.nodeName === 'TEMPLATE') {
+      // Templates can wrap content that is only valid in context, such as table rows
+      content = document.importNode(node.content, true);
+    } else if (spec.mode !== 'outerHTML') {
+      content = document.createDocumentFragment();
+      while (node.firstChild) {
+        content.appendChild(node.firstChild);
+      }
+    }
+
+    swap.swapContent(target, content, spec.mode).forEach((insertedNode) => {
+      inserted.push(insertedNode);
+    });
+  });
+
+  return inserted;
+}
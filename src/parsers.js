@@ -0,0 +1,302 @@
+/**
+ * Parser registry for `<fetch-list>` response formats other than JSON.
+ *
+ * A parser turns the response text into an array of items for
+ * templating.renderList. Parsers are picked by the `format` attribute or,
+ * without one, by matching the response `Content-Type`.
+ */
+
+const parsers = new Map();
+
+/**
+ * Registers a response parser.
+ * @param {string} name - Format name used by the `format` attribute
+ * @param {Function} parse - Parser function (text, context) => items[]
+ * @param {string[]} [contentTypes] - MIME types detected as this format
+ */
+export function register(name, parse, contentTypes = []) {
+  if (typeof name !== 'string' || !name.trim()) {
+    throw new TypeError('Parser name must be a non-empty string.');
+  }
+  if (typeof parse !== 'function') {
+    throw new TypeError('Parser must be a function.');
+  }
+  parsers.set(name.trim().toLowerCase(), {
+    parse,
+    contentTypes: (Array.isArray(contentTypes) ? contentTypes : [contentTypes])
+      .map((type) => String(type).trim().toLowerCase())
+      .filter(Boolean),
+  });
+}
+
+/**
+ * Unregisters a parser.
+ * @param {string} name - Format name
+ * @returns {boolean} True if parser existed and was removed
+ */
+export function unregister(name) {
+  return parsers.delete(String(name).trim().toLowerCase());
+}
+
+/**
+ * Gets a parser function by format name.
+ * @param {string} name - Format name
+ * @returns {Function|undefined}
+ */
+export function get(name) {
+  const entry = parsers.get(String(name).trim().toLowerCase());
+  return entry ? entry.parse : undefined;
+}
+
+/**
+ * Checks if a parser exists.
+ * @param {string} name - Format name
+ * @returns {boolean}
+ */
+export function has(name) {
+  return parsers.has(String(name).trim().toLowerCase());
+}
+
+/**
+ * Finds the format registered for a Content-Type header value.
+ * @param {string} contentType - Header value, parameters are ignored
+ * @returns {string|null} Format name, or null when no parser claims the type
+ */
+export function detect(contentType) {
+  const type = String(contentType || '').split(';')[0].trim().toLowerCase();
+  if (!type) {
+    return null;
+  }
+
+  let found = null;
+  parsers.forEach((entry, name) => {
+    if (!found && entry.contentTypes.some((candidate) => candidate === type
+      || (candidate.charAt(0) === '+' && type.slice(-candidate.length) === candidate))) {
+      found = name;
+    }
+  });
+
+  return found;
+}
+
+/**
+ * Reads a parser setting from the options, then from an attribute.
+ * @param {Object} context - Parser context
+ * @param {string} name - Option and attribute name
+ * @returns {string|null}
+ */
+function readSetting(context, name) {
+  const options = context && context.options;
+  if (options && options[name] !== undefined && options[name] !== null) {
+    return String(options[name]);
+  }
+
+  const element = context && context.element;
+  return element && typeof element.getAttribute === 'function' ? element.getAttribute(name) : null;
+}
+
+/**
+ * Splits CSV text into rows of fields.
+ * Handles quoted fields with doubled quotes, and line breaks inside quotes.
+ * @param {string} text
+ * @param {string} delimiter
+ * @returns {string[][]}
+ */
+function splitCsv(text, delimiter) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  let index = 0;
+
+  while (index < text.length) {
+    const char = text.charAt(index);
+
+    if (quoted) {
+      if (char === '"' && text.charAt(index + 1) === '"') {
+        field += '"';
+        index += 2;
+        continue;
+      }
+      if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+      index += 1;
+      continue;
+    }
+
+    if (char === '"' && field === '') {
+      quoted = true;
+    } else if (text.substr(index, delimiter.length) === delimiter) {
+      row.push(field);
+      field = '';
+      index += delimiter.length;
+      continue;
+    } else if (char === '\r' || char === '\n') {
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+      if (char === '\r' && text.charAt(index + 1) === '\n') {
+        index += 1;
+      }
+    } else {
+      field += char;
+    }
+    index += 1;
+  }
+
+  if (quoted) {
+    throw new SyntaxError('Unterminated quoted field in CSV.');
+  }
+
+  if (field !== '' || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Blank lines carry no record
+  return rows.filter((fields) => fields.length > 1 || fields[0] !== '');
+}
+
+/**
+ * Parses CSV with a header row into objects keyed by the header names.
+ * The delimiter comes from the `delimiter` option or attribute (default `,`).
+ * @param {string} text
+ * @param {Object} [context] - `{element, options, contentType}`
+ * @returns {Object[]}
+ */
+export function parseCsv(text, context) {
+  const setting = readSetting(context, 'delimiter');
+  const delimiter = setting === '\\t' || setting === 'tab' ? '\t' : setting || ',';
+  const rows = splitCsv(String(text).replace(/^\uFEFF/, ''), delimiter);
+  if (!rows.length) {
+    return [];
+  }
+
+  const header = rows.shift().map((name) => name.trim());
+  return rows.map((fields) => {
+    const item = {};
+    header.forEach((name, column) => {
+      item[name] = column < fields.length ? fields[column] : '';
+    });
+    return item;
+  });
+}
+
+/**
+ * Creates an incremental NDJSON parser for text that arrives in chunks.
+ * `push(chunk)` returns the records completed by the chunk and `end()` returns
+ * the record left on an unterminated last line.
+ * @returns {{push: Function, end: Function}}
+ */
+export function createNdjsonDecoder() {
+  let buffer = '';
+  let lineNumber = 0;
+
+  const parseLine = (items, line) => {
+    lineNumber += 1;
+    if (!line.trim()) {
+      return items;
+    }
+
+    try {
+      items.push(JSON.parse(line));
+    } catch (error) {
+      throw new SyntaxError(`Invalid JSON on line ${lineNumber}: ${error.message}`);
+    }
+    return items;
+  };
+
+  return {
+    push(chunk) {
+      const lines = (buffer + chunk).split('\n');
+      buffer = lines.pop();
+      return lines.reduce(parseLine, []);
+    },
+    end() {
+      const line = buffer;
+      buffer = '';
+      return parseLine([], line);
+    },
+  };
+}
+
+/**
+ * Parses newline-delimited JSON, one item per non-blank line.
+ * @param {string} text
+ * @returns {Array}
+ */
+export function parseNdjson(text) {
+  const decoder = createNdjsonDecoder();
+  return decoder.push(String(text)).concat(decoder.end());
+}
+
+/**
+ * Maps an XML element to a plain value.
+ * Leaf elements without attributes become their text. Otherwise attributes and
+ * child elements become properties; repeated child names become arrays and
+ * text next to attributes is kept as `text`.
+ * @param {Element} node
+ * @returns {Object|string}
+ */
+function xmlToValue(node) {
+  const children = Array.prototype.filter.call(node.childNodes, (child) => child.nodeType === 1);
+  const attributes = Array.prototype.slice.call(node.attributes || []);
+  const text = node.textContent.trim();
+
+  if (!children.length && !attributes.length) {
+    return text;
+  }
+
+  const value = {};
+  attributes.forEach((attribute) => {
+    value[attribute.name] = attribute.value;
+  });
+
+  children.forEach((child) => {
+    const name = child.nodeName;
+    const childValue = xmlToValue(child);
+    if (!Object.prototype.hasOwnProperty.call(value, name)) {
+      value[name] = childValue;
+    } else if (Array.isArray(value[name])) {
+      value[name].push(childValue);
+    } else {
+      value[name] = [value[name], childValue];
+    }
+  });
+
+  if (!children.length && text && !Object.prototype.hasOwnProperty.call(value, 'text')) {
+    value.text = text;
+  }
+
+  return value;
+}
+
+/**
+ * Parses XML through DOMParser. Each child element of the document element
+ * becomes one item, e.g. every `<user>` in `<users><user>…</user></users>`.
+ * @param {string} text
+ * @returns {Array}
+ */
+export function parseXml(text) {
+  if (typeof DOMParser === 'undefined') {
+    throw new Error('DOMParser is not available.');
+  }
+
+  const doc = new DOMParser().parseFromString(String(text), 'application/xml');
+  const root = doc.documentElement;
+  if (!root || root.nodeName === 'parsererror' || doc.getElementsByTagName('parsererror').length) {
+    throw new SyntaxError('Invalid XML.');
+  }
+
+  return Array.prototype.filter.call(root.childNodes, (child) => child.nodeType === 1).map(xmlToValue);
+}
+
+// Built-in parsers
+
+register('csv', parseCsv, ['text/csv', 'application/csv']);
+register('ndjson', parseNdjson, ['application/x-ndjson', 'application/ndjson', 'application/jsonl', 'application/x-jsonlines']);
+register('xml', parseXml, ['application/xml', 'text/xml', '+xml']);
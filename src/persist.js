@@ -0,0 +1,395 @@
+/**
+ * Persistent offline cache for `persist`.
+ *
+ * Successful GET responses are stored in IndexedDB (falling back to
+ * localStorage, then memory). When a later request fails without a response,
+ * the stored copy is served instead so the element can render offline.
+ */
+
+import * as helpers from './helpers.js';
+import { NetworkError, TimeoutError } from './errors.js';
+
+const DB_NAME = 'fetchtml';
+const DB_STORE = 'responses';
+const STORAGE_PREFIX = 'fetchtml:persist:';
+
+export const persistDefaults = {
+  // Default max age in milliseconds for elements that do not set one
+  maxAge: 7 * 24 * 3600000,
+  maxEntries: 50,
+  // Approximate cap on stored response bodies, in characters
+  maxSize: 5 * 1024 * 1024,
+  // Custom store adapter; by default IndexedDB, then localStorage, then memory
+  store: null,
+  // Also persist responses to requests that send an Authorization header
+  authorized: false,
+};
+
+const offlineResponses = new WeakSet();
+let defaultStore = null;
+
+/**
+ * Creates a store adapter that keeps records in memory.
+ * Adapters expose promise-returning `get(key)`, `set(key, record)`,
+ * `delete(key)`, `entries()` and `clear()`.
+ * @returns {Object}
+ */
+export function createMemoryStore() {
+  const records = new Map();
+
+  return {
+    get(key) {
+      return Promise.resolve(records.has(key) ? records.get(key) : null);
+    },
+    set(key, record) {
+      records.set(key, record);
+      return Promise.resolve();
+    },
+    delete(key) {
+      records.delete(key);
+      return Promise.resolve();
+    },
+    entries() {
+      return Promise.resolve(Array.from(records.entries()));
+    },
+    clear() {
+      records.clear();
+      return Promise.resolve();
+    },
+  };
+}
+
+/**
+ * Creates a store adapter backed by localStorage.
+ * @param {Storage} storage
+ * @returns {Object}
+ */
+function createLocalStorageStore(storage) {
+  const run = (fn) => new Promise((resolve) => resolve(fn()));
+  const ownKeys = () => {
+    const keys = [];
+    for (let index = 0; index < storage.length; index += 1) {
+      const key = storage.key(index);
+      if (key && key.indexOf(STORAGE_PREFIX) === 0) {
+        keys.push(key);
+      }
+    }
+    return keys;
+  };
+
+  return {
+    get: (key) => run(() => {
+      const text = storage.getItem(STORAGE_PREFIX + key);
+      return text === null ? null : JSON.parse(text);
+    }),
+    set: (key, record) => run(() => storage.setItem(STORAGE_PREFIX + key, JSON.stringify(record))),
+    delete: (key) => run(() => storage.removeItem(STORAGE_PREFIX + key)),
+    entries: () => run(() => ownKeys().map((key) => [key.slice(STORAGE_PREFIX.length), JSON.parse(storage.getItem(key))])),
+    clear: () => run(() => ownKeys().forEach((key) => storage.removeItem(key))),
+  };
+}
+
+/**
+ * Wraps an IDBRequest in a promise.
+ * @param {IDBRequest} request
+ * @returns {Promise<*>}
+ */
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Creates a store adapter backed by IndexedDB.
+ * @param {IDBFactory} factory
+ * @returns {Promise<Object>} Rejects when the database cannot be opened
+ */
+function openIndexedDbStore(factory) {
+  const request = factory.open(DB_NAME, 1);
+  request.onupgradeneeded = () => {
+    request.result.createObjectStore(DB_STORE);
+  };
+
+  return promisifyRequest(request).then((db) => {
+    const run = (mode, fn) => promisifyRequest(fn(db.transaction(DB_STORE, mode).objectStore(DB_STORE)));
+
+    return {
+      get: (key) => run('readonly', (store) => store.get(key)).then((record) => (record === undefined ? null : record)),
+      set: (key, record) => run('readwrite', (store) => store.put(record, key)).then(() => undefined),
+      delete: (key) => run('readwrite', (store) => store.delete(key)).then(() => undefined),
+      entries: () => Promise.all([
+        run('readonly', (store) => store.getAllKeys()),
+        run('readonly', (store) => store.getAll()),
+      ]).then(([keys, records]) => keys.map((key, index) => [key, records[index]])),
+      clear: () => run('readwrite', (store) => store.clear()).then(() => undefined),
+    };
+  });
+}
+
+/**
+ * Picks the best available storage: IndexedDB, then localStorage, then memory.
+ * @returns {Promise<Object>}
+ */
+function createDefaultStore() {
+  const fallback = () => {
+    try {
+      if (typeof localStorage !== 'undefined' && localStorage) {
+        return createLocalStorageStore(localStorage);
+      }
+    } catch (_) {
+      // Access to localStorage can throw when storage is disabled.
+    }
+    return createMemoryStore();
+  };
+
+  if (typeof indexedDB === 'undefined' || !indexedDB) {
+    return Promise.resolve(fallback());
+  }
+
+  return new Promise((resolve) => resolve(openIndexedDbStore(indexedDB))).then(null, fallback);
+}
+
+/**
+ * Resolves the store adapter in use.
+ * @returns {Promise<Object>}
+ */
+function getStore() {
+  if (persistDefaults.store) {
+    return Promise.resolve(persistDefaults.store);
+  }
+
+  if (!defaultStore) {
+    defaultStore = createDefaultStore();
+  }
+
+  return defaultStore;
+}
+
+/**
+ * Resolves the persist settings for an element.
+ * `persist` (option or attribute) enables persistence; a duration value such
+ * as `persist="1d"` sets the max age of stored copies.
+ * @param {Element} element
+ * @param {Object} [options]
+ * @returns {{maxAge: number}|null} Null when persistence is off
+ */
+export function resolvePersist(element, options) {
+  let value = options && options.persist !== undefined ? options.persist : null;
+  if (value === null && element && typeof element.hasAttribute === 'function' && element.hasAttribute('persist')) {
+    value = element.getAttribute('persist');
+  }
+
+  if (value === null || value === false) {
+    return null;
+  }
+
+  const maxAge = value === true || String(value).trim() === '' ? null : helpers.parseDuration(value);
+  return { maxAge: maxAge === null ? Number(persistDefaults.maxAge) || 0 : maxAge };
+}
+
+/**
+ * Hashes a string into a short hex digest (cyrb53). Not cryptographic, but it
+ * keeps the hashed values out of storage.
+ * @param {string} text
+ * @returns {string}
+ */
+function hashString(text) {
+  let h1 = 0xdeadbeef;
+  let h2 = 0x41c6ce57;
+  for (let index = 0; index < text.length; index += 1) {
+    const code = text.charCodeAt(index);
+    h1 = Math.imul(h1 ^ code, 2654435761);
+    h2 = Math.imul(h2 ^ code, 1597334677);
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+  return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(16);
+}
+
+/**
+ * Builds the store key for a request key.
+ * Method and URL stay readable so copies can be invalidated by URL; the vary
+ * header values and the body, which can carry credentials, are hashed.
+ * @param {string} key - Request key from getCacheKey()
+ * @returns {string}
+ */
+function toStoreKey(key) {
+  const parts = String(key).split(' ');
+  const rest = parts.slice(2).join(' ');
+  return rest.trim() ? `${parts[0]} ${parts[1]} #${hashString(rest)}` : `${parts[0]} ${parts[1]}`;
+}
+
+/**
+ * Checks whether a RequestInit sends an Authorization header.
+ * @param {Object} [init]
+ * @returns {boolean}
+ */
+function hasAuthorization(init) {
+  const headers = init && init.headers;
+  if (!headers) {
+    return false;
+  }
+
+  if (typeof headers.has === 'function') {
+    return headers.has('authorization');
+  }
+
+  const names = Array.isArray(headers) ? headers.map((pair) => pair[0]) : Object.keys(headers);
+  return names.some((name) => String(name).toLowerCase() === 'authorization');
+}
+
+/**
+ * Drops expired records and evicts the least recently used ones above the caps.
+ * @param {Object} store
+ * @returns {Promise<void>}
+ */
+function evict(store) {
+  return store.entries().then((entries) => {
+    const now = Date.now();
+    const removals = [];
+    const live = [];
+
+    entries.forEach(([key, record]) => {
+      if (!record || (record.expires && record.expires <= now)) {
+        removals.push(key);
+      } else {
+        live.push([key, record]);
+      }
+    });
+
+    live.sort((a, b) => a[1].lastUsed - b[1].lastUsed);
+
+    const maxEntries = Number(persistDefaults.maxEntries) || 0;
+    const maxSize = Number(persistDefaults.maxSize) || 0;
+    let size = live.reduce((total, entry) => total + (entry[1].size || 0), 0);
+
+    while (live.length && ((maxEntries > 0 && live.length > maxEntries) || (maxSize > 0 && size > maxSize))) {
+      const [key, record] = live.shift();
+      size -= record.size || 0;
+      removals.push(key);
+    }
+
+    return Promise.all(removals.map((key) => store.delete(key)));
+  }).then(() => undefined);
+}
+
+/**
+ * Stores a successful response.
+ * @param {string} key - Request key
+ * @param {Response} response
+ * @param {Object} settings - From resolvePersist()
+ * @returns {Promise<void>}
+ */
+function writeResponse(key, response, settings) {
+  return response.text().then((body) => getStore().then((store) => {
+    const now = Date.now();
+    const record = {
+      body,
+      status: response.status,
+      statusText: response.statusText,
+      contentType: response.headers && typeof response.headers.get === 'function'
+        ? response.headers.get('Content-Type') || ''
+        : '',
+      storedAt: now,
+      lastUsed: now,
+      expires: settings.maxAge > 0 ? now + settings.maxAge : 0,
+      size: body.length,
+    };
+
+    return store.set(toStoreKey(key), record).then(() => evict(store));
+  }));
+}
+
+/**
+ * Reads a stored response, dropping it when expired.
+ * @param {string} requestKey - Request key
+ * @returns {Promise<Response|null>}
+ */
+function readResponse(requestKey) {
+  const key = toStoreKey(requestKey);
+  return getStore().then((store) => store.get(key).then((record) => {
+    if (!record) {
+      return null;
+    }
+
+    if (record.expires && record.expires <= Date.now()) {
+      return store.delete(key).then(() => null);
+    }
+
+    // Reads count as use for LRU eviction
+    store.set(key, { ...record, lastUsed: Date.now() }).then(null, () => {});
+
+    const headers = record.contentType ? { 'Content-Type': record.contentType } : {};
+    const response = helpers.createResponse(record.body, { status: record.status, statusText: record.statusText, headers });
+    offlineResponses.add(response);
+    return response;
+  }));
+}
+
+/**
+ * Checks whether a response was served from the persistent cache.
+ * @param {Response} response
+ * @returns {boolean}
+ */
+export function isOfflineResponse(response) {
+  return Boolean(response && typeof response === 'object' && offlineResponses.has(response));
+}
+
+/**
+ * Sends a request, persisting successful responses and serving the stored
+ * copy when the request fails without a response (network errors and timeouts).
+ * Only GET requests are persisted, and requests with an Authorization header
+ * only when `persistDefaults.authorized` is set.
+ * @param {Function} send - Returns a Promise<Response>
+ * @param {string} key - Request key
+ * @param {Object|null} settings - From resolvePersist(); null sends as is
+ * @param {Object} [init] - RequestInit of the request
+ * @returns {Promise<Response>}
+ */
+export function withPersistence(send, key, settings, init) {
+  const method = String((init && init.method) || 'GET').toUpperCase();
+  if (!settings || method !== 'GET' || (hasAuthorization(init) && !persistDefaults.authorized)) {
+    return send();
+  }
+
+  return send().then((response) => {
+    if (response && response.ok && typeof response.clone === 'function') {
+      writeResponse(key, response.clone(), settings).then(null, (error) => {
+        console.warn('fetchtml could not persist a response:', error);
+      });
+    }
+    return response;
+  }, (error) => {
+    if (!(error instanceof NetworkError || error instanceof TimeoutError)) {
+      throw error;
+    }
+
+    return readResponse(key).then(null, () => null).then((response) => {
+      if (!response) {
+        throw error;
+      }
+      return response;
+    });
+  });
+}
+
+/**
+ * Removes persisted responses whose key matches a predicate.
+ * @param {Function} [predicate] - `(key) => boolean`, given `METHOD URL …` store keys; omit to remove everything
+ * @returns {Promise<void>}
+ */
+export function clearPersisted(predicate) {
+  return getStore().then((store) => {
+    if (typeof predicate !== 'function') {
+      return store.clear();
+    }
+
+    return store.entries().then((entries) => Promise.all(entries
+      .filter(([key]) => predicate(key))
+      .map(([key]) => store.delete(key))));
+  }).then(() => undefined, (error) => {
+    console.warn('fetchtml could not clear persisted responses:', error);
+  });
+}
@@ -0,0 +1,167 @@
+/**
+ * Visibility-aware polling for `refresh-every`.
+ *
+ * The next refresh is only scheduled once the previous one has settled, so
+ * polls never overlap. Polling pauses while the tab is hidden or the element
+ * is scrolled out of view, and catches up as soon as it is visible again.
+ */
+
+import * as helpers from './helpers.js';
+
+/**
+ * Resolves the polling interval for an element.
+ * The `refreshEvery` option wins over the `refresh-every` attribute.
+ * @param {Element} element
+ * @param {Object} [options]
+ * @returns {number} Milliseconds; 0 disables polling
+ */
+export function getRefreshInterval(element, options) {
+  let value = options && options.refreshEvery !== undefined ? options.refreshEvery : null;
+  if (value === null && element && typeof element.getAttribute === 'function') {
+    value = element.getAttribute('refresh-every');
+  }
+
+  return value === null || value === false ? 0 : helpers.parseDuration(value) || 0;
+}
+
+/**
+ * Checks whether the element (or, for replaced elements, its anchor) is still in the document.
+ * @param {Element} element
+ * @returns {boolean}
+ */
+function isAttached(element) {
+  const anchor = element._fetchtmlReplaceAnchor;
+  return element.isConnected || Boolean(anchor && anchor.isConnected);
+}
+
+/**
+ * Stops polling an element.
+ * @param {Element} element
+ */
+export function stopPolling(element) {
+  const poll = element && element._fetchtmlPoll;
+  if (!poll) {
+    return;
+  }
+
+  clearTimeout(poll.timer);
+
+  if (poll.unobserve) {
+    poll.unobserve();
+  }
+
+  if (typeof document !== 'undefined') {
+    document.removeEventListener('visibilitychange', poll.schedule);
+  }
+
+  element._fetchtmlPoll = null;
+}
+
+/**
+ * Starts polling an element.
+ * @param {Element} element
+ * @param {number} interval - Milliseconds between the end of one refresh and the start of the next
+ * @param {Function} refresh - Performs one refresh; may return a promise
+ */
+function startPolling(element, interval, refresh) {
+  const poll = {
+    interval,
+    refresh,
+    timer: null,
+    running: false,
+    inViewport: true,
+    lastRun: Date.now(),
+    unobserve: null,
+    schedule: null,
+  };
+
+  const isActive = () => {
+    const hidden = typeof document !== 'undefined' && document.visibilityState === 'hidden';
+    // Replaced elements are detached, so only their anchor can be tracked
+    return !hidden && (poll.inViewport || !element.isConnected);
+  };
+
+  const tick = () => {
+    poll.timer = null;
+    if (element._fetchtmlPoll !== poll) {
+      return;
+    }
+
+    if (!isAttached(element)) {
+      stopPolling(element);
+      return;
+    }
+
+    if (!isActive()) {
+      return;
+    }
+
+    poll.running = true;
+    poll.lastRun = Date.now();
+
+    Promise.resolve()
+      .then(() => poll.refresh())
+      .catch(() => {
+        // Errors are rendered by the refresh itself.
+      })
+      .then(() => {
+        poll.running = false;
+        poll.schedule();
+      });
+  };
+
+  poll.schedule = () => {
+    clearTimeout(poll.timer);
+    poll.timer = null;
+
+    if (element._fetchtmlPoll !== poll || poll.running || !isActive()) {
+      return;
+    }
+
+    const wait = Math.max(0, poll.lastRun + poll.interval - Date.now());
+    poll.timer = setTimeout(tick, wait);
+  };
+
+  // Shares the IntersectionObserver used for lazy loading
+  poll.unobserve = helpers.observeViewport(element, (visible) => {
+    poll.inViewport = visible;
+    poll.schedule();
+  });
+
+  element._fetchtmlPoll = poll;
+  document.addEventListener('visibilitychange', poll.schedule);
+  poll.schedule();
+}
+
+/**
+ * Starts, updates or stops polling to match the element's current interval.
+ * Called after every load so the next refresh reuses the latest options.
+ * @param {Element} element
+ * @param {number} interval - Milliseconds; 0 stops polling
+ * @param {Function} refresh - Performs one refresh
+ */
+export function ensurePolling(element, interval, refresh) {
+  if (!element || typeof document === 'undefined') {
+    return;
+  }
+
+  const poll = element._fetchtmlPoll;
+  if (!(interval > 0)) {
+    stopPolling(element);
+    return;
+  }
+
+  if (poll && poll.interval === interval) {
+    poll.refresh = refresh;
+
+    // A load outside the poller (such as a manual reload) restarts the countdown
+    if (!poll.running) {
+      poll.lastRun = Date.now();
+      poll.schedule();
+    }
+    return;
+  }
+
+  stopPolling(element);
+  startPolling(element, interval, refresh);
+}
@@ -0,0 +1,592 @@
+/**
+ * Shared request layer for all fetch tags.
+ *
+ * Concurrent identical GET requests share one network request, and successful
+ * responses can be kept in an in-memory cache keyed by method, URL and the
+ * configured vary headers.
+ */
+
+import * as helpers from './helpers.js';
+import { TimeoutError, NetworkError } from './errors.js';
+import { runRequestInterceptors, runResponseInterceptors } from './interceptors.js';
+import { persistDefaults, createMemoryStore, clearPersisted } from './persist.js';
+
+const CACHEABLE_METHODS = ['GET', 'HEAD'];
+
+export const cacheDefaults = {
+  // Default time-to-live in milliseconds; 0 disables caching unless an element opts in
+  ttl: 0,
+  // Request headers whose values become part of the cache key
+  vary: ['accept', 'accept-language', 'authorization'],
+  maxEntries: 100,
+};
+
+const entries = new Map();
+const inflight = new Map();
+// Last successful payload per request, kept for stale-while-revalidate rendering
+const payloads = new Map();
+
+/**
+ * Resolves a URL against the current document.
+ * @param {string} url
+ * @returns {string}
+ */
+function toAbsoluteUrl(url) {
+  try {
+    const base = typeof document !== 'undefined' ? document.baseURI : undefined;
+    return new URL(String(url), base).href;
+  } catch (_) {
+    return String(url);
+  }
+}
+
+/**
+ * Reads a request header regardless of how headers were supplied.
+ * @param {Object|Headers|Array|undefined} headers
+ * @param {string} name - Lower-case header name
+ * @returns {string}
+ */
+function readHeader(headers, name) {
+  if (!headers) {
+    return '';
+  }
+
+  if (typeof headers.get === 'function') {
+    return headers.get(name) || '';
+  }
+
+  const pairs = Array.isArray(headers) ? headers : Object.keys(headers).map((key) => [key, headers[key]]);
+  const match = pairs.filter((pair) => String(pair[0]).toLowerCase() === name)[0];
+  return match ? String(match[1]) : '';
+}
+
+/**
+ * Builds the cache key for a request.
+ * @param {string} method
+ * @param {string} url - Absolute URL
+ * @param {Object} [init]
+ * @returns {string}
+ */
+function buildKey(method, url, init) {
+  const vary = (cacheDefaults.vary || [])
+    .map((name) => String(name).toLowerCase())
+    .map((name) => `${name}=${readHeader(init && init.headers, name)}`)
+    .join('&');
+
+  return `${method} ${url} ${vary}`;
+}
+
+/**
+ * Extracts the URL part of a cache key.
+ * @param {string} key
+ * @returns {string}
+ */
+function keyUrl(key) {
+  return key.split(' ')[1] || '';
+}
+
+/**
+ * Gives each consumer its own readable copy of a shared response.
+ * @param {Response} response
+ * @returns {Response}
+ */
+function cloneResponse(response) {
+  return response && typeof response.clone === 'function' ? response.clone() : response;
+}
+
+/**
+ * Creates an AbortError.
+ * @returns {Error}
+ */
+function createAbortError() {
+  if (typeof DOMException === 'function') {
+    return new DOMException('The request was aborted.', 'AbortError');
+  }
+
+  const error = new Error('The request was aborted.');
+  error.name = 'AbortError';
+  return error;
+}
+
+/**
+ * Looks up a fresh cache entry, dropping it when expired.
+ * @param {string} key
+ * @returns {Object|null}
+ */
+function readEntry(key) {
+  const entry = entries.get(key);
+  if (!entry) {
+    return null;
+  }
+
+  if (entry.expires <= Date.now()) {
+    entries.delete(key);
+    return null;
+  }
+
+  return entry;
+}
+
+/**
+ * Stores a response, evicting the oldest entries above the size cap.
+ * @param {string} key
+ * @param {string} url - Absolute URL
+ * @param {Response} response
+ * @param {number} ttl - Milliseconds
+ */
+function writeEntry(key, url, response, ttl) {
+  entries.delete(key);
+  entries.set(key, { url, response, expires: Date.now() + ttl });
+
+  const max = Number(cacheDefaults.maxEntries) || 0;
+  while (max > 0 && entries.size > max) {
+    entries.delete(entries.keys().next().value);
+  }
+}
+
+/**
+ * Settles with a promise, or rejects with an AbortError as soon as a signal aborts.
+ * Works even when the fetch implementation ignores abort signals.
+ * @param {Promise} promise
+ * @param {AbortSignal} [signal]
+ * @param {Function} [onAbort] - Called once when the signal aborts first
+ * @returns {Promise}
+ */
+function raceSignal(promise, signal, onAbort) {
+  if (!signal) {
+    return promise;
+  }
+
+  return new Promise((resolve, reject) => {
+    const abort = () => {
+      if (typeof onAbort === 'function') {
+        onAbort();
+      }
+      reject(createAbortError());
+    };
+
+    if (signal.aborted) {
+      abort();
+      return;
+    }
+
+    signal.addEventListener('abort', abort);
+    promise.then((value) => {
+      signal.removeEventListener('abort', abort);
+      resolve(value);
+    }, (error) => {
+      signal.removeEventListener('abort', abort);
+      reject(error);
+    });
+  });
+}
+
+/**
+ * Joins a shared in-flight request, honoring the consumer's abort signal.
+ * The network request is only aborted once every consumer has aborted.
+ * @param {Object} shared - In-flight record
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<Response>}
+ */
+function joinInflight(shared, signal) {
+  shared.consumers += 1;
+
+  return raceSignal(shared.promise, signal, () => {
+    shared.consumers -= 1;
+    if (shared.consumers <= 0) {
+      // Later identical requests start fresh instead of joining the aborted one
+      shared.release();
+      if (shared.controller) {
+        shared.controller.abort();
+      }
+    }
+  }).then(cloneResponse);
+}
+
+/**
+ * Resolves the cache time-to-live for an element.
+ * The `cache` option wins over the `cache` attribute, which wins over `cacheDefaults.ttl`.
+ * @param {Element} element
+ * @param {Object} [options]
+ * @returns {number} Milliseconds; 0 disables caching
+ */
+export function resolveCacheTtl(element, options) {
+  let value = options && options.cache !== undefined ? options.cache : null;
+  if (value === null && element && typeof element.getAttribute === 'function') {
+    value = element.getAttribute('cache');
+  }
+
+  if (value === null || value === undefined || value === '') {
+    return Number(cacheDefaults.ttl) || 0;
+  }
+
+  if (value === false) {
+    return 0;
+  }
+
+  return helpers.parseDuration(value) || 0;
+}
+
+/**
+ * Checks whether an element renders in stale-while-revalidate mode (`cache="swr"`).
+ * @param {Element} element
+ * @param {Object} [options]
+ * @returns {boolean}
+ */
+export function isStaleWhileRevalidate(element, options) {
+  let value = options && options.cache !== undefined ? options.cache : null;
+  if (value === null && element && typeof element.getAttribute === 'function') {
+    value = element.getAttribute('cache');
+  }
+
+  return typeof value === 'string' && value.trim().toLowerCase() === 'swr';
+}
+
+/**
+ * Builds the key identifying a request in the response caches.
+ * @param {string} url
+ * @param {Object} [init] - RequestInit
+ * @returns {string}
+ */
+export function getCacheKey(url, init) {
+  const method = String((init && init.method) || 'GET').toUpperCase();
+  const key = buildKey(method, toAbsoluteUrl(url), init);
+
+  // Requests sharing an endpoint (such as GraphQL queries) are told apart by their body
+  return init && typeof init.body === 'string' ? `${key} ${init.body}` : key;
+}
+
+/**
+ * Reads the last payload stored for a request.
+ * @param {string} url
+ * @param {Object} [init] - RequestInit
+ * @returns {{data: *, text: string}|null} A fresh copy of the payload and its serialized form
+ */
+export function readPayload(url, init) {
+  const text = payloads.get(getCacheKey(url, init));
+  return text === undefined ? null : { data: JSON.parse(text), text };
+}
+
+/**
+ * Stores the payload of a successful request for later stale rendering.
+ * @param {string} url
+ * @param {Object} [init] - RequestInit
+ * @param {*} data - Parsed JSON payload
+ * @returns {string} The serialized payload
+ */
+export function writePayload(url, init, data) {
+  const key = getCacheKey(url, init);
+  const text = JSON.stringify(data);
+
+  payloads.delete(key);
+  payloads.set(key, text);
+
+  const max = Number(cacheDefaults.maxEntries) || 0;
+  while (max > 0 && payloads.size > max) {
+    payloads.delete(payloads.keys().next().value);
+  }
+
+  return text;
+}
+
+/**
+ * Adds headers to a RequestInit, whichever form its headers take.
+ * @param {Object} [init]
+ * @param {Object} extra - Header name/value pairs
+ * @returns {Object} New RequestInit
+ */
+function withHeaders(init, extra) {
+  const headers = init && init.headers;
+  const names = Object.keys(extra);
+  let merged;
+
+  if (headers && typeof headers.get === 'function' && typeof Headers === 'function') {
+    merged = new Headers(headers);
+    names.forEach((name) => merged.set(name, extra[name]));
+  } else if (Array.isArray(headers)) {
+    merged = headers.concat(names.map((name) => [name, extra[name]]));
+  } else {
+    merged = { ...headers, ...extra };
+  }
+
+  return { ...init, headers: merged };
+}
+
+/**
+ * Reads the validators an element kept from the response it last rendered.
+ * Validators only apply to the request they came from.
+ * @param {Element} element
+ * @param {string} url
+ * @param {Object} [init] - RequestInit
+ * @returns {{etag: string, lastModified: string}|null}
+ */
+export function getValidators(element, url, init) {
+  const validators = element && element._fetchtmlValidators;
+  return validators && validators.key === getCacheKey(url, init) ? validators : null;
+}
+
+/**
+ * Keeps the `ETag` and `Last-Modified` headers of a response an element renders.
+ * @param {Element} element
+ * @param {string} url
+ * @param {Object} [init] - RequestInit
+ * @param {Response} response
+ */
+export function rememberValidators(element, url, init, response) {
+  const read = (name) => (response && response.headers && typeof response.headers.get === 'function'
+    ? response.headers.get(name) || ''
+    : '');
+  const etag = read('ETag');
+  const lastModified = read('Last-Modified');
+
+  element._fetchtmlValidators = etag || lastModified
+    ? { key: getCacheKey(url, init), etag, lastModified }
+    : null;
+}
+
+/**
+ * Checks whether a response confirms that conditionally requested content is unchanged.
+ * @param {Response} response
+ * @returns {boolean}
+ */
+export function isNotModified(response) {
+  return Boolean(response && response.status === 304);
+}
+
+/**
+ * Resolves the request timeout for an element from the `timeout` option or attribute.
+ * @param {Element} element
+ * @param {Object} [options]
+ * @returns {number} Milliseconds; 0 means no timeout
+ */
+export function resolveTimeout(element, options) {
+  let value = options && options.timeout !== undefined ? options.timeout : null;
+  if (value === null && element && typeof element.getAttribute === 'function') {
+    value = element.getAttribute('timeout');
+  }
+
+  return value === null ? 0 : helpers.parseDuration(value) || 0;
+}
+
+/**
+ * Deduplicates and caches GET requests; other methods and streamed requests go
+ * straight to the fetcher.
+ * @param {Function} fetcher
+ * @param {string} url
+ * @param {Object} [init]
+ * @param {Object} settings
+ * @returns {Promise<Response>}
+ */
+function dispatch(fetcher, url, init, settings) {
+  const method = String((init && init.method) || 'GET').toUpperCase();
+  if (CACHEABLE_METHODS.indexOf(method) === -1 || settings.stream) {
+    return raceSignal(Promise.resolve().then(() => fetcher(url, init)), init && init.signal);
+  }
+
+  const absoluteUrl = toAbsoluteUrl(url);
+  const headers = init && init.headers;
+  const conditions = ['if-none-match', 'if-modified-since'].map((name) => readHeader(headers, name)).join('|');
+  // Conditional requests may answer 304, so they never share responses with plain ones
+  const key = buildKey(method, absoluteUrl, init) + (conditions === '|' ? '' : ` ${conditions}`);
+  const ttl = Number(settings.ttl) || 0;
+  const signal = init && init.signal;
+
+  if (ttl > 0) {
+    const entry = readEntry(key);
+    if (entry) {
+      return Promise.resolve(cloneResponse(entry.response));
+    }
+  }
+
+  if (!inflight.has(key)) {
+    const controller = typeof AbortController === 'function' ? new AbortController() : null;
+    const sharedInit = { ...init };
+    if (controller) {
+      sharedInit.signal = controller.signal;
+    } else {
+      delete sharedInit.signal;
+    }
+
+    const shared = { consumers: 0, controller, promise: null, release: null };
+    shared.promise = Promise.resolve()
+      .then(() => fetcher(url, sharedInit))
+      .then((response) => {
+        if (ttl > 0 && response && response.ok && typeof response.clone === 'function') {
+          writeEntry(key, absoluteUrl, response, ttl);
+        }
+        return response;
+      });
+
+    shared.release = () => {
+      if (inflight.get(key) === shared) {
+        inflight.delete(key);
+      }
+    };
+    shared.promise.then(shared.release, shared.release);
+    inflight.set(key, shared);
+  }
+
+  return joinInflight(inflight.get(key), signal);
+}
+
+/**
+ * Dispatches a request, failing with a TimeoutError after `settings.timeout`.
+ * @param {Function} fetcher
+ * @param {string} url
+ * @param {Object} [init]
+ * @param {Object} settings
+ * @returns {Promise<Response>}
+ */
+function dispatchWithTimeout(fetcher, url, init, settings) {
+  const timeout = Number(settings.timeout) || 0;
+  if (timeout <= 0 || typeof AbortController !== 'function') {
+    return dispatch(fetcher, url, init, settings);
+  }
+
+  const controller = new AbortController();
+  const signal = init && init.signal;
+  const forwardAbort = () => controller.abort();
+  let timedOut = false;
+
+  if (signal) {
+    if (signal.aborted) {
+      controller.abort();
+    } else {
+      signal.addEventListener('abort', forwardAbort);
+    }
+  }
+
+  const timer = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, timeout);
+
+  const cleanup = () => {
+    clearTimeout(timer);
+    if (signal) {
+      signal.removeEventListener('abort', forwardAbort);
+    }
+  };
+
+  return dispatch(fetcher, url, { ...init, signal: controller.signal }, settings).then((response) => {
+    cleanup();
+    return response;
+  }, (error) => {
+    cleanup();
+    throw timedOut ? new TimeoutError(url, timeout) : error;
+  });
+}
+
+/**
+ * Sends a request through the shared layer.
+ * Global interceptors run first, so deduplication and caching see the
+ * rewritten request; response interceptors run for every consumer.
+ * @param {Function} fetcher - fetch implementation
+ * @param {string} url
+ * @param {Object} [init] - RequestInit
+ * @param {Object} [settings]
+ * @param {number} [settings.ttl] - Cache time-to-live in milliseconds
+ * @param {number} [settings.timeout] - Milliseconds to wait for the response before failing with a TimeoutError
+ * @param {Element} [settings.element] - Requesting element, passed to interceptors
+ * @param {Object} [settings.validators] - From getValidators(); makes the request conditional
+ * @param {boolean} [settings.stream] - The body is read as a stream: skip sharing and caching so
+ *   the original response is used and never buffered through a clone
+ * @returns {Promise<Response>}
+ */
+export function sendRequest(fetcher, url, init, settings = {}) {
+  const signal = init && init.signal;
+  const validators = settings.validators;
+  const conditions = {};
+  if (validators && validators.etag) {
+    conditions['If-None-Match'] = validators.etag;
+  }
+  if (validators && validators.lastModified) {
+    conditions['If-Modified-Since'] = validators.lastModified;
+  }
+
+  const requestInit = Object.keys(conditions).length ? withHeaders(init, conditions) : { ...init };
+
+  return runRequestInterceptors({ url, init: requestInit, element: settings.element || null })
+    .then((request) => {
+      const finalInit = { ...request.init };
+      // Interceptors that build a fresh init must not detach the element's abort signal
+      if (signal && !finalInit.signal) {
+        finalInit.signal = signal;
+      }
+
+      const finalRequest = { ...request, init: finalInit };
+      return dispatchWithTimeout(fetcher, request.url, finalInit, settings)
+        .then((response) => runResponseInterceptors(response, finalRequest), (error) => {
+          // Aborts and timeouts keep their own types; anything else means no response arrived
+          if (error && (error.name === 'AbortError' || error instanceof TimeoutError || error instanceof NetworkError)) {
+            throw error;
+          }
+          throw new NetworkError(request.url, error);
+        });
+    });
+}
+
+/**
+ * Public cache controls.
+ */
+export const cache = {
+  defaults: cacheDefaults,
+  persist: persistDefaults,
+  createMemoryStore,
+
+  /**
+   * Removes cached responses (stale payloads and persisted copies too) for a URL.
+   * @param {string} url
+   * @returns {number} Number of removed entries
+   */
+  invalidate(url) {
+    const absoluteUrl = toAbsoluteUrl(url);
+    let removed = 0;
+    entries.forEach((entry, key) => {
+      if (entry.url === absoluteUrl) {
+        entries.delete(key);
+        removed += 1;
+      }
+    });
+    payloads.forEach((text, key) => {
+      if (keyUrl(key) === absoluteUrl) {
+        payloads.delete(key);
+      }
+    });
+    clearPersisted((key) => keyUrl(key) === absoluteUrl);
+    return removed;
+  },
+
+  /**
+   * Removes cached responses whose URL starts with a prefix.
+   * @param {string} prefix - URL prefix, relative or absolute
+   * @returns {number} Number of removed entries
+   */
+  invalidatePrefix(prefix) {
+    const absolutePrefix = toAbsoluteUrl(prefix);
+    let removed = 0;
+    entries.forEach((entry, key) => {
+      if (entry.url.indexOf(absolutePrefix) === 0) {
+        entries.delete(key);
+        removed += 1;
+      }
+    });
+    payloads.forEach((text, key) => {
+      if (keyUrl(key).indexOf(absolutePrefix) === 0) {
+        payloads.delete(key);
+      }
+    });
+    clearPersisted((key) => keyUrl(key).indexOf(absolutePrefix) === 0);
+    return removed;
+  },
+
+  /**
+   * Removes every cached response, stale payload and persisted copy.
+   * @returns {Promise<void>} Settles once the persistent store is cleared
+   */
+  clear() {
+    entries.clear();
+    payloads.clear();
+    return clearPersisted();
+  },
+};
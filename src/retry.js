@@ -0,0 +1,198 @@
+/**
+ * Retry with exponential backoff for failed requests.
+ */
+
+import * as helpers from './helpers.js';
+import { HttpError } from './errors.js';
+
+const DEFAULT_RETRIES = 3;
+const DEFAULT_DELAY = 1000;
+const MAX_DELAY = 30000;
+const DEFAULT_RETRY_ON = ['network', '5xx', '429'];
+
+/**
+ * Splits a space- or comma-separated list.
+ * @param {string|string[]} value
+ * @returns {string[]}
+ */
+function toList(value) {
+  if (Array.isArray(value)) {
+    return value.map((item) => String(item).trim().toLowerCase()).filter(Boolean);
+  }
+
+  return String(value).split(/[\s,]+/).map((item) => item.trim().toLowerCase()).filter(Boolean);
+}
+
+/**
+ * Resolves the retry policy for an element.
+ * Options (`retry`, `retryDelay`, `retryOn`) win over the matching attributes.
+ * @param {Element} element
+ * @param {Object} [options]
+ * @returns {{retries: number, delay: number, retryOn: string[]}|null} Null when retrying is off
+ */
+export function resolveRetryPolicy(element, options) {
+  const hasAttr = (name) => Boolean(element && typeof element.hasAttribute === 'function' && element.hasAttribute(name));
+  const readAttr = (name) => (hasAttr(name) ? element.getAttribute(name) : null);
+
+  let retries = options && options.retry !== undefined ? options.retry : readAttr('retry');
+  if (retries === true || (typeof retries === 'string' && retries.trim() === '')) {
+    retries = DEFAULT_RETRIES;
+  }
+
+  retries = parseInt(retries, 10);
+  if (!(retries > 0)) {
+    return null;
+  }
+
+  const rawDelay = options && options.retryDelay !== undefined ? options.retryDelay : readAttr('retry-delay');
+  const delay = rawDelay === null ? DEFAULT_DELAY : helpers.parseDuration(rawDelay);
+
+  const rawRetryOn = options && options.retryOn !== undefined ? options.retryOn : readAttr('retry-on');
+  const retryOn = rawRetryOn === null ? DEFAULT_RETRY_ON : toList(rawRetryOn);
+
+  return {
+    retries,
+    delay: delay === null ? DEFAULT_DELAY : delay,
+    retryOn,
+  };
+}
+
+/**
+ * Checks whether a status matches a `retry-on` entry such as `503` or `5xx`.
+ * @param {number} status
+ * @param {string} entry
+ * @returns {boolean}
+ */
+function matchesStatus(status, entry) {
+  if (/^\dxx$/.test(entry)) {
+    return Math.floor(status / 100) === parseInt(entry.charAt(0), 10);
+  }
+
+  return String(status) === entry;
+}
+
+/**
+ * Checks whether a failure should be retried.
+ * @param {Error|null} error - Thrown error, for network failures
+ * @param {Response|null} response - Response, for HTTP failures
+ * @param {Object} policy
+ * @returns {boolean}
+ */
+function shouldRetry(error, response, policy) {
+  if (response) {
+    return policy.retryOn.some((entry) => matchesStatus(response.status, entry));
+  }
+
+  if (error && error.name === 'AbortError') {
+    return false;
+  }
+
+  return policy.retryOn.indexOf('network') !== -1;
+}
+
+/**
+ * Reads a Retry-After header as a delay in milliseconds, capped like the backoff.
+ * @param {Response} response
+ * @returns {number|null}
+ */
+function getRetryAfter(response) {
+  const value = response && response.headers && typeof response.headers.get === 'function'
+    ? response.headers.get('Retry-After')
+    : null;
+
+  if (!value) {
+    return null;
+  }
+
+  if (/^\d+$/.test(value.trim())) {
+    return Math.min(MAX_DELAY, parseInt(value, 10) * 1000);
+  }
+
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.min(MAX_DELAY, Math.max(0, date - Date.now()));
+}
+
+/**
+ * Computes the backoff delay for an attempt: exponential growth with jitter.
+ * @param {number} attempt - 1-based retry attempt
+ * @param {number} base - Base delay in milliseconds
+ * @returns {number}
+ */
+function getBackoff(attempt, base) {
+  const exponential = Math.min(MAX_DELAY, base * (2 ** (attempt - 1)));
+  return Math.round(exponential / 2 + Math.random() * (exponential / 2));
+}
+
+/**
+ * Waits for a delay, rejecting early if the signal aborts.
+ * @param {number} delay
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<void>}
+ */
+function wait(delay, signal) {
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      const error = new Error('The request was aborted.');
+      error.name = 'AbortError';
+      reject(error);
+    };
+
+    const timer = setTimeout(() => {
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+      resolve();
+    }, delay);
+
+    if (signal) {
+      if (signal.aborted) {
+        onAbort();
+        return;
+      }
+      signal.addEventListener('abort', onAbort);
+    }
+  });
+}
+
+/**
+ * Runs a request, retrying network errors and matching HTTP statuses.
+ * The last response (or error) is passed through once retries run out.
+ * @param {Function} send - Returns a Promise<Response> for one attempt
+ * @param {Object|null} policy - From resolveRetryPolicy()
+ * @param {Object} [hooks]
+ * @param {AbortSignal} [hooks.signal] - Cancels pending retries
+ * @param {Function} [hooks.onRetry] - Called before waiting: `(attempt, error, delay) => void`
+ * @returns {Promise<Response>}
+ */
+export function withRetry(send, policy, hooks = {}) {
+  if (!policy) {
+    return send();
+  }
+
+  const attempt = (count) => Promise.resolve()
+    .then(send)
+    .then((response) => ({ response, error: null }), (error) => ({ response: null, error }))
+    .then(({ response, error }) => {
+      const failedResponse = response && !response.ok ? response : null;
+      if ((!error && !failedResponse) || count >= policy.retries || !shouldRetry(error, failedResponse, policy)) {
+        if (error) {
+          throw error;
+        }
+        return response;
+      }
+
+      const reason = error || new HttpError(failedResponse);
+
+      const retryAfter = getRetryAfter(failedResponse);
+      const delay = retryAfter !== null ? retryAfter : getBackoff(count + 1, policy.delay);
+
+      if (typeof hooks.onRetry === 'function') {
+        hooks.onRetry(count + 1, reason, delay);
+      }
+
+      return wait(delay, hooks.signal).then(() => attempt(count + 1));
+    });
+
+  return attempt(0);
+}
@@ -0,0 +1,238 @@
+/**
+ * HTML sanitizer for untrusted fetched markup.
+ *
+ * Uses the browser Sanitizer API when available, then always applies a
+ * DOM-walking pass that enforces the configured allowlists.
+ */
+
+import * as helpers from './helpers.js';
+
+const URL_ATTRIBUTES = ['href', 'src', 'action', 'formaction', 'cite', 'poster', 'background', 'xlink:href'];
+const SCHEME_REGEX = /^([a-z][a-z0-9+.-]*):/i;
+const URL_NOISE_REGEX = /[\u0000- \u007F-\u009F]/g;
+
+/**
+ * Default sanitizer configuration. Arrays may be modified to change the
+ * global allowlist; per-element config replaces individual keys.
+ */
+export const sanitizeDefaults = {
+  allowedTags: [
+    'a', 'abbr', 'address', 'article', 'aside', 'b', 'bdi', 'bdo', 'blockquote', 'br',
+    'caption', 'cite', 'code', 'col', 'colgroup', 'data', 'dd', 'del', 'details', 'dfn',
+    'div', 'dl', 'dt', 'em', 'figcaption', 'figure', 'footer', 'h1', 'h2', 'h3', 'h4',
+    'h5', 'h6', 'header', 'hr', 'i', 'img', 'ins', 'kbd', 'li', 'main', 'mark', 'nav',
+    'ol', 'p', 'picture', 'pre', 'q', 's', 'samp', 'section', 'small', 'source', 'span',
+    'strong', 'sub', 'summary', 'sup', 'table', 'tbody', 'td', 'tfoot', 'th', 'thead',
+    'time', 'tr', 'u', 'ul', 'var', 'wbr',
+  ],
+  allowedAttributes: [
+    'alt', 'cite', 'class', 'colspan', 'datetime', 'dir', 'headers', 'height', 'href',
+    'id', 'lang', 'loading', 'open', 'rel', 'reversed', 'rowspan', 'scope', 'sizes',
+    'span', 'src', 'srcset', 'start', 'target', 'title', 'type', 'value', 'width',
+  ],
+  allowedSchemes: ['http', 'https', 'mailto', 'tel'],
+  // Removed together with their content rather than unwrapped
+  droppedTags: [
+    'script', 'style', 'iframe', 'frame', 'frameset', 'object', 'embed', 'applet',
+    'noscript', 'template', 'link', 'meta', 'base', 'svg', 'math', 'form',
+  ],
+  allowDataAttributes: true,
+  allowAriaAttributes: true,
+};
+
+/**
+ * Merges a user config with the defaults.
+ * @param {Object|boolean} [config]
+ * @returns {Object}
+ */
+function resolveConfig(config) {
+  const overrides = config && typeof config === 'object' ? config : {};
+  const resolved = { ...sanitizeDefaults, ...overrides };
+
+  ['allowedTags', 'allowedAttributes', 'allowedSchemes', 'droppedTags'].forEach((key) => {
+    resolved[key] = (resolved[key] || []).map((value) => String(value).toLowerCase());
+  });
+
+  return resolved;
+}
+
+/**
+ * Parses markup into an inert fragment.
+ * No Trusted Types policy of its own is created: a pass-through policy would
+ * hand out unsanitized TrustedHTML, so pages that enforce Trusted Types
+ * decide through their default policy, as for every other insertion.
+ * @param {string} html
+ * @returns {DocumentFragment}
+ */
+function parseInert(html) {
+  const template = document.createElement('template');
+  template.innerHTML = html;
+  return template.content;
+}
+
+/**
+ * Parses markup through the browser Sanitizer API when it is available.
+ * @param {string} html
+ * @param {Object} config - Resolved config
+ * @returns {DocumentFragment|null}
+ */
+function parseWithSanitizerApi(html, config) {
+  if (typeof Element === 'undefined' || typeof Element.prototype.setHTML !== 'function') {
+    return null;
+  }
+
+  try {
+    const container = document.createElement('div');
+    container.setHTML(html, {
+      sanitizer: {
+        elements: config.allowedTags,
+        attributes: config.allowedAttributes,
+      },
+    });
+
+    const fragment = document.createDocumentFragment();
+    while (container.firstChild) {
+      fragment.appendChild(container.firstChild);
+    }
+    return fragment;
+  } catch (_) {
+    return null;
+  }
+}
+
+/**
+ * Checks whether a URL uses an allowed scheme. Relative URLs are allowed.
+ * @param {string} value
+ * @param {Object} config
+ * @returns {boolean}
+ */
+function isSafeUrl(value, config) {
+  const normalized = String(value).replace(URL_NOISE_REGEX, '');
+  const match = normalized.match(SCHEME_REGEX);
+  return !match || config.allowedSchemes.indexOf(match[1].toLowerCase()) !== -1;
+}
+
+/**
+ * Checks every candidate URL in a srcset attribute.
+ * @param {string} value
+ * @param {Object} config
+ * @returns {boolean}
+ */
+function isSafeSrcset(value, config) {
+  return String(value)
+    .split(',')
+    .map((candidate) => candidate.trim().split(/\s+/)[0])
+    .filter(Boolean)
+    .every((url) => isSafeUrl(url, config));
+}
+
+/**
+ * Checks whether an attribute may stay on an element.
+ * @param {Attr} attr
+ * @param {Object} config
+ * @returns {boolean}
+ */
+function isAllowedAttribute(attr, config) {
+  const name = attr.name.toLowerCase();
+
+  if (name.indexOf('on') === 0) {
+    return false;
+  }
+
+  const allowed = config.allowedAttributes.indexOf(name) !== -1
+    || (config.allowDataAttributes && name.indexOf('data-') === 0)
+    || (config.allowAriaAttributes && name.indexOf('aria-') === 0);
+
+  if (!allowed) {
+    return false;
+  }
+
+  if (name === 'srcset') {
+    return isSafeSrcset(attr.value, config);
+  }
+
+  if (URL_ATTRIBUTES.indexOf(name) !== -1) {
+    return isSafeUrl(attr.value, config);
+  }
+
+  return true;
+}
+
+/**
+ * Removes disallowed nodes and attributes below a parent node.
+ * Disallowed tags are unwrapped so their text survives; dropped tags are
+ * removed with their content.
+ * @param {Node} parent
+ * @param {Object} config
+ */
+function cleanChildren(parent, config) {
+  helpers.toArray(parent.childNodes).forEach((node) => {
+    if (node.nodeType === 3) {
+      return;
+    }
+
+    if (node.nodeType !== 1) {
+      parent.removeChild(node);
+      return;
+    }
+
+    const tag = node.nodeName.toLowerCase();
+
+    if (config.droppedTags.indexOf(tag) !== -1) {
+      parent.removeChild(node);
+      return;
+    }
+
+    cleanChildren(node, config);
+
+    if (config.allowedTags.indexOf(tag) === -1) {
+      while (node.firstChild) {
+        parent.insertBefore(node.firstChild, node);
+      }
+      parent.removeChild(node);
+      return;
+    }
+
+    helpers.toArray(node.attributes).forEach((attr) => {
+      if (!isAllowedAttribute(attr, config)) {
+        node.removeAttribute(attr.name);
+      }
+    });
+  });
+}
+
+/**
+ * Sanitizes a fragment in place.
+ * @param {DocumentFragment|Element} fragment - Content to clean
+ * @param {Object|boolean} [config] - Allowlist overrides
+ * @returns {DocumentFragment|Element} The same fragment
+ */
+export function sanitizeFragment(fragment, config) {
+  if (fragment) {
+    cleanChildren(fragment, resolveConfig(config));
+  }
+
+  return fragment;
+}
+
+/**
+ * Parses and sanitizes an HTML string.
+ * @param {string} html - Untrusted markup
+ * @param {Object|boolean} [config] - Allowlist overrides
+ * @returns {DocumentFragment}
+ */
+export function sanitize(html, config) {
+  const resolved = resolveConfig(config);
+  const content = String(html == null ? '' : html);
+  const fromApi = parseWithSanitizerApi(content, resolved);
+  if (fromApi) {
+    cleanChildren(fromApi, resolved);
+    return fromApi;
+  }
+
+  // Clean while the nodes still belong to the inert template document, so
+  // nothing (such as <img onerror>) can run before it is stripped.
+  const inert = parseInert(content);
+  cleanChildren(inert, resolved);
+  return document.importNode(inert, true);
+}
@@ -0,0 +1,283 @@
+/**
+ * Script execution for fetched HTML fragments.
+ *
+ * Scripts created through template.innerHTML are inert, so they are re-created
+ * as fresh elements and inserted in document order.
+ */
+
+import * as helpers from './helpers.js';
+
+const EXECUTABLE_TYPES = [
+  '',
+  'module',
+  'text/javascript',
+  'application/javascript',
+  'text/ecmascript',
+  'application/ecmascript',
+];
+
+const executedSources = new Set();
+let pageSourcesSeeded = false;
+
+// Inline modules report completion through this global callback
+const MODULE_CALLBACK = '__fetchtmlModuleDone';
+// Modules that neither finish nor fail within this time count as failed
+const MODULE_TIMEOUT = 10000;
+const pendingModules = new Map();
+let nextModuleId = 0;
+
+/**
+ * Resolves a script source against the document base URL.
+ * @param {string} src - Raw src attribute
+ * @returns {string}
+ */
+function resolveSource(src) {
+  try {
+    return new URL(src, document.baseURI).href;
+  } catch (_) {
+    return src;
+  }
+}
+
+/**
+ * Records external scripts that were part of the page before any fetched script ran.
+ * @param {HTMLScriptElement[]} pending - Scripts about to be executed
+ */
+function seedPageSources(pending) {
+  if (pageSourcesSeeded) {
+    return;
+  }
+
+  pageSourcesSeeded = true;
+  helpers.toArray(document.scripts).forEach((script) => {
+    if (script.src && pending.indexOf(script) === -1) {
+      executedSources.add(script.src);
+    }
+  });
+}
+
+/**
+ * Checks whether a script element holds executable JavaScript.
+ * @param {HTMLScriptElement} script
+ * @returns {boolean}
+ */
+function isExecutable(script) {
+  const type = (script.getAttribute('type') || '').trim().toLowerCase();
+  return EXECUTABLE_TYPES.indexOf(type) !== -1;
+}
+
+/**
+ * Checks whether a script is a module script.
+ * @param {HTMLScriptElement} script
+ * @returns {boolean}
+ */
+function isModule(script) {
+  return (script.getAttribute('type') || '').trim().toLowerCase() === 'module';
+}
+
+/**
+ * Creates a live copy of an inert script element.
+ * @param {HTMLScriptElement} original
+ * @returns {HTMLScriptElement}
+ */
+function cloneScript(original) {
+  const script = document.createElement('script');
+  helpers.toArray(original.attributes).forEach((attr) => {
+    script.setAttribute(attr.name, attr.value);
+  });
+
+  if (original.hasAttribute('src')) {
+    // Dynamically inserted scripts default to async; keep ordered semantics unless asked otherwise.
+    script.async = original.hasAttribute('async');
+  } else {
+    script.textContent = original.textContent;
+  }
+
+  return script;
+}
+
+/**
+ * Checks whether the environment runs module scripts at all.
+ * @returns {boolean}
+ */
+function supportsModules() {
+  return typeof HTMLScriptElement !== 'undefined' && 'noModule' in HTMLScriptElement.prototype;
+}
+
+/**
+ * Checks whether an error event was raised by the module carrying a marker.
+ * The marker is the module's `sourceURL`, which browsers report as the
+ * filename and in stack traces.
+ * @param {ErrorEvent} event
+ * @param {string} marker
+ * @returns {boolean}
+ */
+function isModuleError(event, marker) {
+  const stack = event.error && typeof event.error.stack === 'string' ? event.error.stack : '';
+  return String(event.filename || '').indexOf(marker) !== -1 || stack.indexOf(marker) !== -1;
+}
+
+/**
+ * Runs an inline module script and tracks its outcome.
+ * Modules run asynchronously after insertion, so the copy ends with a call to
+ * a global callback. Only errors that carry the module's marker are
+ * attributed to it; a module that never reports back fails after
+ * MODULE_TIMEOUT.
+ * @param {HTMLScriptElement} original
+ * @returns {Promise<void>} Resolves once the module has run, rejects when it fails
+ */
+function runInlineModule(original) {
+  const script = cloneScript(original);
+  if (!supportsModules()) {
+    original.parentNode.replaceChild(script, original);
+    return Promise.resolve();
+  }
+
+  nextModuleId += 1;
+  const id = nextModuleId;
+  const marker = `fetchtml-inline-module-${id}.js`;
+  if (typeof window[MODULE_CALLBACK] !== 'function') {
+    window[MODULE_CALLBACK] = (doneId) => {
+      const settle = pendingModules.get(doneId);
+      if (settle) {
+        settle(null);
+      }
+    };
+  }
+
+  script.textContent = `${original.textContent}\n;window.${MODULE_CALLBACK}(${id});\n//# sourceURL=${marker}`;
+
+  return new Promise((resolve, reject) => {
+    let timer = null;
+    const captureError = (event) => {
+      if (isModuleError(event, marker)) {
+        settle(event.error || new Error(event.message || 'fetch-html module script failed.'));
+      }
+    };
+    // Failed imports fire on the script element itself
+    const captureLoadError = () => {
+      settle(new Error('fetch-html module script failed to load its imports.'));
+    };
+    const settle = (error) => {
+      clearTimeout(timer);
+      pendingModules.delete(id);
+      window.removeEventListener('error', captureError);
+      script.removeEventListener('error', captureLoadError);
+      if (error) {
+        reject(error);
+      } else {
+        resolve();
+      }
+    };
+
+    pendingModules.set(id, settle);
+    timer = setTimeout(() => {
+      settle(new Error(`fetch-html module script did not finish within ${MODULE_TIMEOUT / 1000} s.`));
+    }, MODULE_TIMEOUT);
+    window.addEventListener('error', captureError);
+    script.addEventListener('error', captureLoadError);
+    original.parentNode.replaceChild(script, original);
+  });
+}
+
+/**
+ * Executes a single script by swapping it for a live copy.
+ * @param {HTMLScriptElement} original
+ * @returns {Promise<void>} Resolves once the script has run, rejects when it fails
+ */
+function runScript(original) {
+  if (!original.parentNode) {
+    return Promise.resolve();
+  }
+
+  if (original.hasAttribute('src')) {
+    const source = resolveSource(original.getAttribute('src'));
+    if (executedSources.has(source)) {
+      original.parentNode.removeChild(original);
+      return Promise.resolve();
+    }
+
+    executedSources.add(source);
+    const script = cloneScript(original);
+
+    return new Promise((resolve, reject) => {
+      script.addEventListener('load', () => resolve());
+      script.addEventListener('error', () => {
+        reject(new Error(`fetch-html script failed to load: ${source}`));
+      });
+      original.parentNode.replaceChild(script, original);
+    });
+  }
+
+  if (isModule(original)) {
+    return runInlineModule(original);
+  }
+
+  const script = cloneScript(original);
+  let scriptError = null;
+  const captureError = (event) => {
+    if (!scriptError) {
+      scriptError = event.error || new Error(event.message || 'fetch-html inline script failed.');
+    }
+  };
+
+  // Inline classic scripts run synchronously on insertion, so errors raised
+  // during replaceChild belong to this script.
+  window.addEventListener('error', captureError);
+  try {
+    original.parentNode.replaceChild(script, original);
+  } finally {
+    window.removeEventListener('error', captureError);
+  }
+
+  return scriptError ? Promise.reject(scriptError) : Promise.resolve();
+}
+
+/**
+ * Executes inert scripts in document order.
+ * Classic scripts block the ones after them; `async` scripts do not, and
+ * `defer` and module scripts run after all classic scripts, and the returned
+ * promise waits for inline modules to finish. External sources run at most
+ * once per page.
+ * @param {HTMLScriptElement[]} scripts - Scripts already inserted into the document
+ * @returns {Promise<Error[]>} Errors raised by failing scripts
+ */
+export function executeScripts(scripts) {
+  const pending = helpers.toArray(scripts).filter(isExecutable);
+  if (!pending.length) {
+    return Promise.resolve([]);
+  }
+
+  seedPageSources(pending);
+
+  const errors = [];
+  const background = [];
+  const deferred = [];
+
+  const track = (promise) => promise.catch((error) => {
+    errors.push(error);
+  });
+
+  const runInOrder = (list) => list.reduce((chain, script) => chain.then(() => {
+    const promise = track(runScript(script));
+    if (script.hasAttribute('src') && script.hasAttribute('async')) {
+      background.push(promise);
+      return undefined;
+    }
+
+    return promise;
+  }), Promise.resolve());
+
+  const ordered = pending.filter((script) => {
+    const isDeferred = isModule(script) || (script.hasAttribute('src') && script.hasAttribute('defer'));
+    if (isDeferred) {
+      deferred.push(script);
+    }
+    return !isDeferred;
+  });
+
+  return runInOrder(ordered)
+    .then(() => runInOrder(deferred))
+    .then(() => Promise.all(background))
+    .then(() => errors);
+}
@@ -0,0 +1,242 @@
+/**
+ * WebSocket data binding for fetch-json and fetch-list.
+ *
+ * Messages carry JSON: either full data or a JSON Patch (RFC 6902) to apply
+ * to the current data. Transports are pluggable; the built-in one wraps
+ * WebSocket with heartbeats, reconnects and a subscribe message.
+ */
+
+import * as helpers from './helpers.js';
+import { isJsonPatch } from './json-patch.js';
+
+const RECONNECT_DELAY = 1000;
+const MAX_RECONNECT_DELAY = 30000;
+const DEFAULT_PING = 'ping';
+const DEFAULT_PONG = 'pong';
+
+/**
+ * Checks whether an element is bound to a socket.
+ * @param {Element} element
+ * @param {Object} [options]
+ * @returns {boolean}
+ */
+export function hasSocket(element, options) {
+  return Boolean((options && (typeof options.transport === 'function' || options.socket))
+    || (element && typeof element.hasAttribute === 'function' && element.hasAttribute('socket')));
+}
+
+/**
+ * Builds the subscribe message from the `subscribe` option or the
+ * `socket-subscribe` attribute. `{name}` placeholders in the attribute are
+ * replaced with the element's attribute values, escaped for JSON strings.
+ * @param {Element} element
+ * @param {Object} [options]
+ * @returns {string|null}
+ */
+function buildSubscribeMessage(element, options) {
+  if (options && typeof options.subscribe === 'function') {
+    const message = options.subscribe(element);
+    if (message === undefined || message === null) {
+      return null;
+    }
+    return typeof message === 'string' ? message : JSON.stringify(message);
+  }
+
+  const template = element.getAttribute('socket-subscribe');
+  if (!template) {
+    return null;
+  }
+
+  return helpers.fillAttributePlaceholders(template, element);
+}
+
+/**
+ * Opens a WebSocket with heartbeats and reconnects.
+ * The connection counts as dead when nothing arrives for two heartbeat
+ * intervals, and is then reopened.
+ * @param {string} url
+ * @param {Object} settings
+ * @param {number} [settings.heartbeat] - Milliseconds between pings; 0 disables heartbeats
+ * @param {string} [settings.ping] - Heartbeat message
+ * @param {string} [settings.protocols] - Sub-protocols
+ * @param {Function} [settings.subscribe] - Returns the message to send after each (re)connect
+ * @param {Function} [settings.isAttached] - Returns false once reconnecting is pointless
+ * @param {Object} handlers - { onMessage(text), onOpen(), onDisconnect() }
+ * @returns {{send: Function, close: Function}}
+ */
+function openWebSocket(url, settings, handlers) {
+  if (typeof WebSocket !== 'function') {
+    throw new Error('The socket attribute requires WebSocket support.');
+  }
+
+  let socket = null;
+  let reconnectTimer = null;
+  let heartbeatTimer = null;
+  let attempts = 0;
+  let lastMessageAt = 0;
+  let closed = false;
+
+  const stopHeartbeat = () => {
+    clearInterval(heartbeatTimer);
+    heartbeatTimer = null;
+  };
+
+  const scheduleReconnect = () => {
+    stopHeartbeat();
+    if (closed || reconnectTimer) {
+      return;
+    }
+
+    handlers.onDisconnect();
+    const delay = Math.min(MAX_RECONNECT_DELAY, RECONNECT_DELAY * (2 ** attempts));
+    attempts += 1;
+    reconnectTimer = setTimeout(() => {
+      reconnectTimer = null;
+      // Elements removed from the page stop reconnecting for good
+      if (typeof settings.isAttached === 'function' && !settings.isAttached()) {
+        closed = true;
+        return;
+      }
+      connect();
+    }, delay);
+  };
+
+  const startHeartbeat = () => {
+    stopHeartbeat();
+    if (!(settings.heartbeat > 0)) {
+      return;
+    }
+
+    heartbeatTimer = setInterval(() => {
+      if (Date.now() - lastMessageAt > settings.heartbeat * 2) {
+        // Drop the silent connection without waiting for the browser to notice
+        const dead = socket;
+        socket = null;
+        dead.onclose = null;
+        dead.close();
+        scheduleReconnect();
+        return;
+      }
+
+      socket.send(settings.ping || DEFAULT_PING);
+    }, settings.heartbeat);
+  };
+
+  function connect() {
+    reconnectTimer = null;
+    const current = settings.protocols ? new WebSocket(url, settings.protocols) : new WebSocket(url);
+    socket = current;
+
+    current.onopen = () => {
+      attempts = 0;
+      lastMessageAt = Date.now();
+
+      const subscribe = typeof settings.subscribe === 'function' ? settings.subscribe() : null;
+      if (subscribe) {
+        current.send(subscribe);
+      }
+
+      startHeartbeat();
+      handlers.onOpen();
+    };
+
+    current.onmessage = (event) => {
+      lastMessageAt = Date.now();
+      handlers.onMessage(event.data);
+    };
+
+    current.onclose = () => {
+      if (socket === current) {
+        socket = null;
+        scheduleReconnect();
+      }
+    };
+  }
+
+  connect();
+
+  return {
+    send(message) {
+      if (socket && socket.readyState === 1) {
+        socket.send(typeof message === 'string' ? message : JSON.stringify(message));
+      }
+    },
+    close() {
+      closed = true;
+      stopHeartbeat();
+      clearTimeout(reconnectTimer);
+      if (socket) {
+        socket.onclose = null;
+        socket.close();
+        socket = null;
+      }
+    },
+  };
+}
+
+/**
+ * Connects an element to its socket and interprets incoming messages.
+ * A custom `transport(element, handlers)` option replaces the built-in
+ * WebSocket; it must call `handlers.onMessage(text)` (or pass already parsed
+ * data), `handlers.onOpen()` and `handlers.onDisconnect()`, and return an
+ * object with `close()`.
+ * @param {Element} element
+ * @param {Object} options
+ * @param {Object} callbacks
+ * @param {Function} callbacks.onData - Full replacement: `(data) => void`
+ * @param {Function} callbacks.onPatch - JSON Patch operations: `(operations) => void`
+ * @param {Function} callbacks.onOpen - Connection (re)established
+ * @param {Function} callbacks.onDisconnect - Connection lost
+ * @returns {{send: Function, close: Function}}
+ */
+export function openSocketBinding(element, options, callbacks) {
+  const pong = element.getAttribute('socket-pong') || DEFAULT_PONG;
+
+  const handlers = {
+    onMessage(message) {
+      let data = message;
+      if (typeof message === 'string') {
+        if (message === pong) {
+          return;
+        }
+
+        try {
+          data = JSON.parse(message);
+        } catch (_) {
+          console.warn('Ignoring non-JSON socket message:', message);
+          return;
+        }
+      }
+
+      if (isJsonPatch(data)) {
+        callbacks.onPatch(data);
+      } else {
+        callbacks.onData(data);
+      }
+    },
+    onOpen: callbacks.onOpen,
+    onDisconnect: callbacks.onDisconnect,
+  };
+
+  if (options && typeof options.transport === 'function') {
+    const transport = options.transport(element, handlers) || {};
+    return {
+      send: typeof transport.send === 'function' ? transport.send.bind(transport) : () => {},
+      close: typeof transport.close === 'function' ? transport.close.bind(transport) : () => {},
+    };
+  }
+
+  const url = (options && options.socket) || element.getAttribute('socket');
+  const heartbeat = options && options.heartbeat !== undefined
+    ? options.heartbeat
+    : element.getAttribute('socket-heartbeat');
+
+  return openWebSocket(url, {
+    heartbeat: heartbeat === null ? 0 : helpers.parseDuration(heartbeat) || 0,
+    ping: element.getAttribute('socket-ping') || DEFAULT_PING,
+    protocols: element.getAttribute('socket-protocol') || undefined,
+    subscribe: () => buildSubscribeMessage(element, options),
+    isAttached: () => element.isConnected
+      || Boolean(element._fetchtmlReplaceAnchor && element._fetchtmlReplaceAnchor.isConnected),
+  }, handlers);
+}
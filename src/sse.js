@@ -0,0 +1,95 @@
+/**
+ * Server-Sent Events transport for live fetch-list updates.
+ */
+
+const RECONNECT_DELAY = 1000;
+const MAX_RECONNECT_DELAY = 30000;
+
+export const STREAM_EVENTS = ['replace', 'append', 'upsert', 'remove'];
+
+/**
+ * Parses event data as JSON.
+ * @param {string} data
+ * @returns {{ok: boolean, value: *}}
+ */
+function parseData(data) {
+  try {
+    return { ok: true, value: JSON.parse(data) };
+  } catch (error) {
+    console.warn('fetch-list stream received invalid JSON:', data);
+    return { ok: false, value: null };
+  }
+}
+
+/**
+ * Opens an EventSource with reconnect handling.
+ * The browser reconnects dropped connections by itself; connections it gives up
+ * on (such as HTTP errors) are reopened here with exponential backoff.
+ * Unnamed `message` events are treated as `replace`.
+ * @param {string} url
+ * @param {Object} handlers
+ * @param {boolean} [handlers.withCredentials]
+ * @param {Function} handlers.onEvent - `(type, data) => void` for replace/append/upsert/remove
+ * @param {Function} [handlers.onOpen] - Connection (re)established
+ * @param {Function} [handlers.onDisconnect] - Connection lost
+ * @returns {{close: Function}}
+ */
+export function openEventStream(url, handlers) {
+  if (typeof EventSource !== 'function') {
+    throw new Error('fetch-list stream="sse" requires EventSource support.');
+  }
+
+  let source = null;
+  let timer = null;
+  let attempts = 0;
+  let closed = false;
+
+  const connect = () => {
+    timer = null;
+    source = new EventSource(url, { withCredentials: Boolean(handlers.withCredentials) });
+
+    source.addEventListener('open', () => {
+      attempts = 0;
+      if (typeof handlers.onOpen === 'function') {
+        handlers.onOpen();
+      }
+    });
+
+    source.addEventListener('error', () => {
+      if (closed) {
+        return;
+      }
+
+      if (typeof handlers.onDisconnect === 'function') {
+        handlers.onDisconnect();
+      }
+
+      if (source.readyState === EventSource.CLOSED) {
+        const delay = Math.min(MAX_RECONNECT_DELAY, RECONNECT_DELAY * (2 ** attempts));
+        attempts += 1;
+        timer = setTimeout(connect, delay);
+      }
+    });
+
+    ['message'].concat(STREAM_EVENTS).forEach((type) => {
+      source.addEventListener(type, (event) => {
+        const parsed = parseData(event.data);
+        if (parsed.ok && !closed) {
+          handlers.onEvent(type === 'message' ? 'replace' : type, parsed.value);
+        }
+      });
+    });
+  };
+
+  connect();
+
+  return {
+    close() {
+      closed = true;
+      clearTimeout(timer);
+      if (source) {
+        source.close();
+      }
+    },
+  };
+}
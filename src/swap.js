@@ -0,0 +1,148 @@
+/**
+ * Swap strategies for inserting fetched content into the document.
+ */
+
+import * as helpers from './helpers.js';
+import { morph } from './morph.js';
+
+export const SWAP_MODES = [
+  'innerHTML',
+  'outerHTML',
+  'beforebegin',
+  'afterbegin',
+  'beforeend',
+  'afterend',
+  'morph',
+  'none',
+];
+
+const SWAP_LOOKUP = SWAP_MODES.reduce((lookup, mode) => {
+  lookup[mode.toLowerCase()] = mode;
+  return lookup;
+}, {});
+
+/**
+ * Normalizes a swap mode value.
+ * @param {string} value - Raw swap mode
+ * @returns {string|null} Canonical swap mode or null when unknown
+ */
+export function normalizeSwapMode(value) {
+  if (typeof value !== 'string') {
+    return null;
+  }
+
+  return SWAP_LOOKUP[value.trim().toLowerCase()] || null;
+}
+
+/**
+ * Resolves the swap mode for an element.
+ * The `swap` option wins over `morph: true` and the `swap` attribute; `replace` maps to outerHTML.
+ * @param {Element} element - FetchTML element
+ * @param {Object} [options] - Options object
+ * @returns {string}
+ */
+export function getSwapMode(element, options) {
+  if (options && !options.swap && options.morph === true) {
+    return 'morph';
+  }
+
+  const raw = options && options.swap ? options.swap : element.getAttribute('swap');
+
+  if (raw) {
+    const mode = normalizeSwapMode(raw);
+    if (mode) {
+      return mode;
+    }
+
+    console.warn(`Unknown swap mode "${raw}". Falling back to innerHTML.`);
+  }
+
+  return element.hasAttribute('replace') ? 'outerHTML' : 'innerHTML';
+}
+
+/**
+ * Resolves the element that receives swapped content.
+ * @param {Element} element - FetchTML element
+ * @param {Object} [options] - Options object
+ * @returns {Element}
+ * @throws {Error} if a target selector matches nothing
+ */
+export function resolveSwapTarget(element, options) {
+  let target = options && options.target
+    ? options.target
+    : element.getAttribute('target');
+
+  if (typeof target === 'function') {
+    target = target(element);
+  }
+
+  if (!target) {
+    return element;
+  }
+
+  if (typeof target === 'object' && target.nodeType === 1) {
+    return target;
+  }
+
+  let found = null;
+  try {
+    found = document.querySelector(String(target));
+  } catch (_) {
+    found = null;
+  }
+
+  if (!found) {
+    throw new Error(`Swap target not found: ${target}`);
+  }
+
+  return found;
+}
+
+/**
+ * Inserts content relative to a target element.
+ * @param {Element} target - Element receiving the content
+ * @param {Node} content - Node or fragment to insert
+ * @param {string} mode - Swap mode
+ * @returns {Node[]} Inserted nodes
+ */
+export function swapContent(target, content, mode) {
+  if (mode === 'none' || !content) {
+    return [];
+  }
+
+  if (mode === 'morph') {
+    return morph(target, content);
+  }
+
+  const nodes = content.nodeType === 11
+    ? helpers.toArray(content.childNodes)
+    : [content];
+  const parent = target.parentNode;
+  const needsParent = mode === 'outerHTML' || mode === 'beforebegin' || mode === 'afterend';
+  if (needsParent && !parent) {
+    return [];
+  }
+
+  switch (mode) {
+    case 'outerHTML':
+      parent.replaceChild(content, target);
+      break;
+    case 'beforebegin':
+      parent.insertBefore(content, target);
+      break;
+    case 'afterbegin':
+      target.insertBefore(content, target.firstChild);
+      break;
+    case 'beforeend':
+      target.appendChild(content);
+      break;
+    case 'afterend':
+      parent.insertBefore(content, target.nextSibling);
+      break;
+    default:
+      target.innerHTML = '';
+      target.appendChild(content);
+  }
+
+  return nodes;
+}